@@ -2,7 +2,7 @@
 // @name         OpenAI Log Image Renderer
 // @author       Vonernue
 // @namespace    https://platform.openai.com/
-// @version      0.1.9
+// @version      0.2.0
 // @description  Render conversation images inline in OpenAI platform conversation logs.
 // @match        https://platform.openai.com/*
 // @run-at       document-idle
@@ -19,23 +19,74 @@
       maxImageWidthPx: 420,
       borderRadiusPx: 10,
       showCaption: true,
+      lightboxMaxZoom: 8,
+      placeholderAspectRatio: "4 / 3",
+      showActionOverlays: true,
+      filmstripFps: 2,
+      theme: "auto",
     },
     OBSERVATION: {
       mutationDebounceMs: 150,
       maxScanPerCycle: 200,
+      lazyResolve: true,
+      lazyRootMargin: "800px 0px",
     },
     FEATURE_FLAGS: {
       renderMarkdownImages: true,
       renderInputImageByFileId: true,
       renderAnnotatedImagePlaceholder: true,
+      renderBase64Images: true,
+      renderFileAttachments: true,
+      renderFunctionCallImages: true,
     },
     DEBUG: {
       enabled: false,
     },
+    RESOLUTION: {
+      maxConcurrentRequests: 4,
+      maxAutoRetries: 3,
+      backoffBaseMs: 2_000,
+      backoffMaxMs: 5 * 60_000,
+    },
+    STORAGE: {
+      settingsKey: "oci:settings",
+      anchorsKey: "oci:anchors",
+    },
+    DOM: {
+      responseIdSelector: "",
+      responseCardSelector: "",
+      blockSelector: "",
+      roleSelector: "",
+      bodySelector: "",
+    },
+    RUN_EXPORT: {
+      frameDurationMs: 800,
+      maxWidthPx: 960,
+      includeActions: true,
+      includeCaptions: true,
+    },
+    PAGINATION: {
+      fetchRemainingPages: true,
+      maxPages: 50,
+      pageDelayMs: 250,
+    },
+    EXTRACTORS: {
+      customRules: "",
+    },
+    CACHE: {
+      enabled: true,
+      dbName: "oci-cache",
+      maxEntries: 2_000,
+      maxBytes: 20 * 1024 * 1024,
+      maxInlineChars: 256 * 1024,
+    },
     API: {
       dashboardItemsPathRegex: /\/v1\/dashboard\/conversations\/(conv_[^/?#]+)\/items/i,
+      logsConversationPathRegex: /\/logs\/(conv_[^/?#]+)/i,
       internalDownloadLinkTemplate:
         "https://api.openai.com/v1/internal/files/{file_id}/download_link",
+      signedUrlFallbackTtlMs: 10 * 60_000,
+      signedUrlRefreshLeadMs: 60_000,
     },
   };
 
@@ -48,24 +99,388 @@
     "div",
   ];
 
+  const DEFAULT_DOM_SELECTORS = {
+    responseId: "span.zxtJj",
+    responseCard: "div._7ho-7",
+    block: ".nyCLx .zl9Lq",
+    role: ".Ykd-p",
+    body: ".EWWAC",
+  };
+
+  const PUBLIC_API_VERSION = 1;
+
+  const PUBLIC_API_EVENTS = ["payloadCaptured", "imageRendered", "imageFailed", "routeChanged"];
+
+  const TEXT_ANCHOR_RETRY_MS = 1000;
+
+  const ROLE_LABEL_PATTERN = /^(user|assistant|tool|system|developer)$/i;
+
+  const DOM_STRATEGIES = [
+    {
+      enabled: () => Object.values(CONFIG.DOM).some(Boolean),
+      ...createSelectorStrategy("overrides", {
+        get responseId() {
+          return CONFIG.DOM.responseIdSelector || DEFAULT_DOM_SELECTORS.responseId;
+        },
+        get responseCard() {
+          return CONFIG.DOM.responseCardSelector || DEFAULT_DOM_SELECTORS.responseCard;
+        },
+        get block() {
+          return CONFIG.DOM.blockSelector || DEFAULT_DOM_SELECTORS.block;
+        },
+        get role() {
+          return CONFIG.DOM.roleSelector || DEFAULT_DOM_SELECTORS.role;
+        },
+        get body() {
+          return CONFIG.DOM.bodySelector || DEFAULT_DOM_SELECTORS.body;
+        },
+      }),
+    },
+    {
+      enabled: () => true,
+      ...createSelectorStrategy("hashed-classes", DEFAULT_DOM_SELECTORS),
+    },
+    {
+      name: "structural",
+      enabled: () => true,
+      findResponseCard(responseId) {
+        const escaped = escapeAttrValue(responseId);
+        const anchor = document.querySelector(
+          [
+            `[data-response-id="${escaped}"]`,
+            `[aria-label*="${escaped}"]`,
+            `[title="${escaped}"]`,
+            `a[href*="${escaped}"]`,
+          ].join(",")
+        );
+        if (!anchor) {
+          return null;
+        }
+        return (
+          anchor.closest('article, section, [role="article"], [role="region"], [role="listitem"]') ||
+          closestCardWithBlocks(anchor)
+        );
+      },
+      readBlocks: readRoleLabelledBlocks,
+    },
+    {
+      name: "text-anchored",
+      enabled: () => true,
+      findResponseCard: findTextAnchoredCard,
+      readBlocks: readRoleLabelledBlocks,
+    },
+  ];
+
+  const CANDIDATE_EXTRACTORS = [
+    {
+      sourceType: "input_image_url",
+      enabled: () => true,
+      match: (content) =>
+        inputImageSourceKind(content) === "url"
+          ? [{ value: content.image_url, source: { url: content.image_url }, meta: { detail: content.detail || null } }]
+          : [],
+      caption: (match) => match.value,
+    },
+    {
+      sourceType: "input_image_data_url",
+      enabled: () => CONFIG.FEATURE_FLAGS.renderBase64Images,
+      match: (content) =>
+        inputImageSourceKind(content) === "data"
+          ? [inlineImageMatch(content, content.image_url, { detail: content.detail || null })]
+          : [],
+      caption: (match) => inlineImageCaption("Inline image", match.source.inline),
+    },
+    {
+      sourceType: "input_image_file",
+      enabled: () => CONFIG.FEATURE_FLAGS.renderInputImageByFileId,
+      match: (content) =>
+        inputImageSourceKind(content) === "file"
+          ? [
+              {
+                value: content.file_id,
+                source: { fileId: content.file_id },
+                meta: { fileId: content.file_id, detail: content.detail || null },
+              },
+            ]
+          : [],
+      caption: (match) => match.value,
+    },
+    {
+      sourceType: "output_image_url",
+      enabled: () => true,
+      match: matchScreenshot,
+      caption: (match) =>
+        match.source.inline ? inlineImageCaption("Screenshot", match.source.inline) : match.value,
+    },
+    {
+      sourceType: "input_file",
+      enabled: () => CONFIG.FEATURE_FLAGS.renderFileAttachments,
+      match: matchFileAttachment,
+      caption: (match, content) =>
+        content.filename ||
+        content.file_id ||
+        (/^https?:\/\//i.test(content.file_url || "") ? content.file_url : "") ||
+        "input_file",
+    },
+    {
+      sourceType: "audio",
+      enabled: () => CONFIG.FEATURE_FLAGS.renderFileAttachments,
+      match: matchAudio,
+      caption: (match, content) => audioLabel(audioPayload(content)),
+    },
+    {
+      sourceType: "image_generation",
+      enabled: () => CONFIG.FEATURE_FLAGS.renderBase64Images,
+      match: matchGeneratedImage,
+      caption: (match, content) => {
+        const caption = inlineImageCaption("Generated image", match.source.inline);
+        return content.revised_prompt ? `${caption} — ${content.revised_prompt}` : caption;
+      },
+    },
+    {
+      sourceType: "markdown",
+      enabled: () => CONFIG.FEATURE_FLAGS.renderMarkdownImages,
+      match: (content) =>
+        content?.type === "output_text" && typeof content.text === "string"
+          ? extractMarkdownImages(content.text).map((image) => ({
+              value: image.url,
+              source: { url: image.url },
+              meta: { alt: image.alt || image.title },
+              image,
+            }))
+          : [],
+      caption: (match) =>
+        Array.from(new Set([match.image.alt, match.image.title].filter(Boolean))).join(" — ") ||
+        match.value,
+    },
+    {
+      sourceType: "function_call_json",
+      enabled: () => CONFIG.FEATURE_FLAGS.renderFunctionCallImages,
+      match: matchFunctionCallImages,
+      caption: (match, content) => `${content.name || "function"} ${content.kind}: ${match.path}`,
+    },
+    {
+      sourceType: "annotated_note",
+      enabled: () => CONFIG.FEATURE_FLAGS.renderAnnotatedImagePlaceholder,
+      match: matchAnnotatedPlaceholder,
+      caption: () => "Annotated image reference",
+    },
+  ];
+
+  const THEME_PALETTES = {
+    light: {
+      "color-scheme": "light",
+      surface: "rgba(250, 252, 255, 0.95)",
+      "surface-raised": "#fff",
+      panel: "rgba(248, 251, 255, 0.98)",
+      "toolbar-bg": "rgba(255, 255, 255, 0.96)",
+      text: "rgba(20, 26, 34, 0.85)",
+      "text-muted": "rgba(25, 29, 36, 0.7)",
+      border: "rgba(0, 0, 0, 0.12)",
+      "border-strong": "rgba(0, 0, 0, 0.2)",
+      "border-subtle": "rgba(0, 0, 0, 0.08)",
+      shadow: "rgba(0, 0, 0, 0.14)",
+      "shadow-soft": "rgba(0, 0, 0, 0.06)",
+      fill: "rgba(0, 0, 0, 0.05)",
+      "fill-strong": "rgba(0, 0, 0, 0.08)",
+      accent: "#214baf",
+      "accent-contrast": "#fff",
+      "accent-ring": "rgba(33, 75, 175, 0.4)",
+      "accent-soft": "rgba(33, 75, 175, 0.06)",
+      link: "#214baf",
+      "error-border": "#d47373",
+      "error-text": "#8b2f2f",
+      "error-bg": "#fff2f2",
+      "badge-bg": "rgba(20, 26, 34, 0.75)",
+      "badge-text": "#fff",
+    },
+    dark: {
+      "color-scheme": "dark",
+      surface: "rgba(32, 35, 42, 0.95)",
+      "surface-raised": "#23262d",
+      panel: "rgba(26, 28, 34, 0.98)",
+      "toolbar-bg": "rgba(40, 43, 51, 0.96)",
+      text: "rgba(236, 239, 244, 0.9)",
+      "text-muted": "rgba(220, 225, 233, 0.65)",
+      border: "rgba(255, 255, 255, 0.14)",
+      "border-strong": "rgba(255, 255, 255, 0.24)",
+      "border-subtle": "rgba(255, 255, 255, 0.08)",
+      shadow: "rgba(0, 0, 0, 0.5)",
+      "shadow-soft": "rgba(0, 0, 0, 0.3)",
+      fill: "rgba(255, 255, 255, 0.06)",
+      "fill-strong": "rgba(255, 255, 255, 0.1)",
+      accent: "#4f7be8",
+      "accent-contrast": "#fff",
+      "accent-ring": "rgba(122, 162, 255, 0.5)",
+      "accent-soft": "rgba(122, 162, 255, 0.1)",
+      link: "#8fb0ff",
+      "error-border": "#b35858",
+      "error-text": "#ffb4b4",
+      "error-bg": "#3a2326",
+      "badge-bg": "rgba(0, 0, 0, 0.7)",
+      "badge-text": "#fff",
+    },
+  };
+
+  const SETTINGS_SCHEMA = [
+    { section: "UI", key: "maxImageWidthPx", type: "number", label: "Max image width (px)", min: 80, max: 4000, integer: true },
+    { section: "UI", key: "borderRadiusPx", type: "number", label: "Border radius (px)", min: 0, max: 48, integer: true },
+    { section: "UI", key: "showCaption", type: "boolean", label: "Show captions" },
+    { section: "UI", key: "lightboxMaxZoom", type: "number", label: "Viewer max zoom", min: 1, max: 32 },
+    { section: "UI", key: "showActionOverlays", type: "boolean", label: "Show computer actions on screenshots" },
+    { section: "UI", key: "filmstripFps", type: "number", label: "Filmstrip playback (frames/s)", min: 0.25, max: 30 },
+    { section: "UI", key: "theme", type: "select", label: "Theme", options: ["auto", "light", "dark"] },
+    { section: "FEATURE_FLAGS", key: "renderMarkdownImages", type: "boolean", label: "Render markdown images" },
+    { section: "FEATURE_FLAGS", key: "renderInputImageByFileId", type: "boolean", label: "Render input_image file_id" },
+    { section: "FEATURE_FLAGS", key: "renderAnnotatedImagePlaceholder", type: "boolean", label: "Render [ANNOTATED_IMAGE] placeholders" },
+    { section: "FEATURE_FLAGS", key: "renderBase64Images", type: "boolean", label: "Render base64 / generated images" },
+    { section: "FEATURE_FLAGS", key: "renderFileAttachments", type: "boolean", label: "Render PDFs, audio and files" },
+    { section: "FEATURE_FLAGS", key: "renderFunctionCallImages", type: "boolean", label: "Render images in function call JSON" },
+    { section: "OBSERVATION", key: "lazyResolve", type: "boolean", label: "Resolve images near the viewport only" },
+    { section: "OBSERVATION", key: "lazyRootMargin", type: "string", label: "Lazy root margin", pattern: /^(-?\d+(\.\d+)?(px|%)\s*){1,4}$/ },
+    { section: "RESOLUTION", key: "maxConcurrentRequests", type: "number", label: "Parallel download_link requests", min: 1, max: 16, integer: true },
+    { section: "RESOLUTION", key: "maxAutoRetries", type: "number", label: "Automatic retries", min: 0, max: 10, integer: true },
+    { section: "RUN_EXPORT", key: "frameDurationMs", type: "number", label: "Frame duration (ms)", min: 20, max: 60_000, integer: true },
+    { section: "RUN_EXPORT", key: "maxWidthPx", type: "number", label: "Max width (px)", min: 160, max: 4000, integer: true },
+    { section: "RUN_EXPORT", key: "includeActions", type: "boolean", label: "Draw computer actions" },
+    { section: "RUN_EXPORT", key: "includeCaptions", type: "boolean", label: "Burn in step captions" },
+    { section: "PAGINATION", key: "fetchRemainingPages", type: "boolean", label: "Fetch remaining conversation pages" },
+    { section: "PAGINATION", key: "maxPages", type: "number", label: "Max extra pages per conversation", min: 1, max: 500, integer: true },
+    { section: "CACHE", key: "enabled", type: "boolean", label: "Persist links in IndexedDB" },
+    { section: "CACHE", key: "maxEntries", type: "number", label: "Max cached entries", min: 50, max: 50_000, integer: true },
+    { section: "DOM", key: "responseIdSelector", type: "string", label: "Response id element", selector: true },
+    { section: "DOM", key: "responseCardSelector", type: "string", label: "Response card", selector: true },
+    { section: "DOM", key: "blockSelector", type: "string", label: "Message block", selector: true },
+    { section: "DOM", key: "roleSelector", type: "string", label: "Role label (inside block)", selector: true },
+    { section: "DOM", key: "bodySelector", type: "string", label: "Message body (inside block)", selector: true },
+    { section: "EXTRACTORS", key: "customRules", type: "string", label: "Regex rules (JSON array)", multiline: true, extractorRules: true },
+    { section: "DEBUG", key: "enabled", type: "boolean", label: "Debug logging" },
+  ];
+
+  const SOURCE_TYPE_LABELS = {
+    input_image_file: "input_image (file_id)",
+    input_image_url: "input_image (URL)",
+    markdown: "Markdown",
+    output_image_url: "Screenshot",
+    annotated_note: "Annotated",
+    input_image_data_url: "input_image (data URL)",
+    image_generation: "Generated image",
+    input_file: "input_file",
+    audio: "Audio",
+    function_call_json: "Function call JSON",
+  };
+
+  const FILE_EXTENSION_MIME_TYPES = {
+    pdf: "application/pdf",
+    mp3: "audio/mpeg",
+    wav: "audio/wav",
+    ogg: "audio/ogg",
+    oga: "audio/ogg",
+    m4a: "audio/mp4",
+    flac: "audio/flac",
+    webm: "audio/webm",
+    png: "image/png",
+    jpg: "image/jpeg",
+    jpeg: "image/jpeg",
+    gif: "image/gif",
+    webp: "image/webp",
+    txt: "text/plain",
+    md: "text/markdown",
+    csv: "text/csv",
+    json: "application/json",
+    html: "text/html",
+    docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    pptx: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  };
+
+  const EXPORT_BUTTON_TITLE = "Download this conversation as a standalone HTML file with images embedded";
+
+  const ZIP_BUTTON_TITLE = "Download every image in this conversation as a ZIP with manifest.json";
+
+  const IMAGE_MIME_EXTENSIONS = {
+    "image/png": "png",
+    "image/jpeg": "jpg",
+    "image/jpg": "jpg",
+    "image/gif": "gif",
+    "image/webp": "webp",
+    "image/avif": "avif",
+    "image/bmp": "bmp",
+    "image/svg+xml": "svg",
+  };
+
+  const SETTINGS_SECTION_LABELS = {
+    UI: "Display",
+    FEATURE_FLAGS: "Features",
+    OBSERVATION: "Loading",
+    RESOLUTION: "Network",
+    RUN_EXPORT: "Run GIF / WebM",
+    PAGINATION: "Pagination",
+    CACHE: "Cache",
+    DOM: "Page selectors (blank = built-in)",
+    EXTRACTORS: "Custom image extractors",
+    DEBUG: "Debug",
+  };
+
   const state = {
     scheduled: false,
     pendingRoots: new Set(),
     renderedSourceKeys: new Set(),
     fileIdToResolvedSrc: new Map(),
+    fileIdToExpiresAtMs: new Map(),
+    fileIdToMeta: new Map(),
+    fileIdRefreshTimers: new Map(),
     fileIdToObjectUrl: new Map(),
+    objectUrlToBlob: new Map(),
+    inlineImageInfo: new WeakMap(),
+    inlineDecodeInFlight: new Map(),
     fileIdToError: new Map(),
     fileIdInFlight: new Map(),
     fileIdRetryAfterMs: new Map(),
+    fileIdFailureCount: new Map(),
+    resolutionQueue: [],
+    resolutionOrder: 0,
+    resolutionTimer: null,
+    activeResolutions: 0,
+    rateLimitedUntilMs: 0,
+    cacheDbPromise: null,
+    cacheEvictionTimer: null,
+    fileIdToCacheKey: new Map(),
+    conversationPersistTimers: new Map(),
+    pendingSourceKeys: new Map(),
+    lazyObserver: null,
+    lazyWaiters: new Map(),
     convIdToMessages: new Map(),
     convIdToRequestHeaders: new Map(),
-    seenPayloadSignatures: new Set(),
+    convIdToPages: new Map(),
+    nativeFetch: null,
+    lastCapturedConversationId: null,
+    lightbox: null,
+    compare: null,
+    screenshotKeysByMessages: new WeakMap(),
+    defaultSettings: null,
+    settingsPanel: null,
+    gallery: null,
+    filmstrip: null,
+    cardStrategies: new WeakMap(),
+    textAnchoredCards: new Map(),
+    textAnchorWalk: null,
+    matchTraces: new Map(),
+    diagnostics: new Map(),
+    diagnosticsPanel: null,
+    anchorOverrides: null,
+    dragTargets: [],
+    dragMessageId: null,
+    customExtractors: null,
+    eventHandlers: new Map(),
+    lastDomStrategy: null,
+    messageIdToContainer: new Map(),
     authBearerToken: null,
     openaiOrganization: null,
     openaiProject: null,
     lastKnownHref: "",
     apiPatched: false,
-    styled: false,
+    styleElement: null,
   };
 
   function log(...args) {
@@ -85,25 +500,57 @@
   }
 
   function ensureStyles() {
-    if (state.styled) {
-      return;
+    if (!state.styleElement) {
+      state.styleElement = document.createElement("style");
+      state.styleElement.id = "oci-styles";
+      document.head.appendChild(state.styleElement);
     }
-    const style = document.createElement("style");
-    style.textContent = `
+    state.styleElement.textContent = `
+      ${themeCss()}
+
       .oci-images {
         margin-top: 10px;
         display: grid;
         gap: 8px;
       }
 
+      .oci-slot {
+        display: contents;
+      }
+
       .oci-image-card {
         width: fit-content;
         max-width: min(100%, ${CONFIG.UI.maxImageWidthPx}px);
-        border: 1px solid rgba(0, 0, 0, 0.12);
-        background: rgba(250, 252, 255, 0.95);
+        border: 1px solid var(--oci-border);
+        background: var(--oci-surface);
+        border-radius: ${CONFIG.UI.borderRadiusPx}px;
+        padding: 8px;
+        box-shadow: 0 6px 20px var(--oci-shadow-soft);
+        cursor: zoom-in;
+      }
+
+      .oci-placeholder {
+        width: min(100%, ${CONFIG.UI.maxImageWidthPx}px);
+        border: 1px dashed var(--oci-border-strong);
         border-radius: ${CONFIG.UI.borderRadiusPx}px;
         padding: 8px;
-        box-shadow: 0 6px 20px rgba(0, 0, 0, 0.06);
+      }
+
+      .oci-placeholder-box {
+        width: 100%;
+        border-radius: ${CONFIG.UI.borderRadiusPx}px;
+        background: linear-gradient(90deg, var(--oci-fill), var(--oci-fill-strong), var(--oci-fill));
+        background-size: 200% 100%;
+        animation: oci-shimmer 1.4s linear infinite;
+      }
+
+      @keyframes oci-shimmer {
+        from {
+          background-position: 100% 0;
+        }
+        to {
+          background-position: -100% 0;
+        }
       }
 
       .oci-image-card img {
@@ -114,11 +561,54 @@
         border-radius: ${CONFIG.UI.borderRadiusPx}px;
       }
 
+      .oci-overlay-host {
+        position: relative;
+        width: fit-content;
+        max-width: 100%;
+      }
+
+      .oci-action-overlay {
+        position: absolute;
+        inset: 0;
+        width: 100%;
+        height: 100%;
+        pointer-events: none;
+      }
+
       .oci-caption {
         margin-top: 6px;
         font-size: 12px;
         line-height: 1.3;
-        color: rgba(20, 26, 34, 0.8);
+        color: var(--oci-text);
+        word-break: break-all;
+      }
+
+      .oci-info {
+        margin-top: 4px;
+        font-size: 12px;
+        color: var(--oci-text);
+      }
+
+      .oci-info summary {
+        cursor: pointer;
+        color: var(--oci-link);
+      }
+
+      .oci-info dl {
+        display: grid;
+        grid-template-columns: max-content 1fr;
+        gap: 2px 10px;
+        margin: 6px 0 0;
+      }
+
+      .oci-info dt {
+        color: var(--oci-text-muted);
+      }
+
+      .oci-info dd {
+        display: flex;
+        gap: 8px;
+        margin: 0;
         word-break: break-all;
       }
 
@@ -126,16 +616,16 @@
         display: inline-flex;
         align-items: center;
         gap: 6px;
-        border: 1px solid #d47373;
-        color: #8b2f2f;
-        background: #fff2f2;
+        border: 1px solid var(--oci-error-border);
+        color: var(--oci-error-text);
+        background: var(--oci-error-bg);
         border-radius: 999px;
         padding: 4px 10px;
         font-size: 12px;
       }
 
       .oci-retry {
-        color: #214baf;
+        color: var(--oci-link);
         text-decoration: underline;
         cursor: pointer;
         border: 0;
@@ -144,1152 +634,6913 @@
         font-size: 12px;
       }
 
+      .oci-file-card {
+        display: grid;
+        gap: 8px;
+        width: min(100%, ${Math.max(CONFIG.UI.maxImageWidthPx, 360)}px);
+        border: 1px solid var(--oci-border);
+        background: var(--oci-surface);
+        border-radius: ${CONFIG.UI.borderRadiusPx}px;
+        padding: 8px 10px;
+        font-size: 12px;
+      }
+
+      .oci-file-header {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: baseline;
+        gap: 4px 10px;
+        word-break: break-all;
+      }
+
+      .oci-file-details {
+        color: var(--oci-text-muted);
+      }
+
+      .oci-file-card audio {
+        width: 100%;
+      }
+
+      .oci-file-card object {
+        width: 100%;
+        height: 480px;
+        border: 1px solid var(--oci-border);
+        border-radius: 6px;
+      }
+
       .oci-note {
         display: inline-flex;
         padding: 4px 8px;
-        border: 1px dashed rgba(0, 0, 0, 0.25);
+        border: 1px dashed var(--oci-border-strong);
         border-radius: 6px;
         font-size: 12px;
-        color: rgba(25, 29, 36, 0.7);
+        color: var(--oci-text-muted);
       }
 
       .oci-global-gallery {
         margin: 14px 0;
         padding: 10px;
-        border: 1px solid rgba(0, 0, 0, 0.12);
+        border: 1px solid var(--oci-border);
         border-radius: 10px;
-        background: rgba(248, 251, 255, 0.92);
+        background: var(--oci-panel);
       }
 
       .oci-global-title {
         margin: 0 0 8px 0;
         font-size: 13px;
         font-weight: 600;
-        color: rgba(16, 21, 29, 0.85);
+        color: var(--oci-text);
       }
-    `;
-    document.head.appendChild(style);
-    state.styled = true;
-  }
 
-  function getNodeText(node) {
-    if (!node || !(node instanceof Element)) {
-      return "";
-    }
-    if (node.tagName === "PRE" || node.tagName === "CODE") {
-      return node.textContent || "";
-    }
-    return node.innerText || node.textContent || "";
-  }
+      .oci-lightbox {
+        position: fixed;
+        inset: 0;
+        z-index: 2147483000;
+        display: flex;
+        flex-direction: column;
+        background: rgba(10, 12, 16, 0.92);
+        color: #f3f5f8;
+        font-size: 13px;
+        outline: none;
+      }
 
-  function maybeParseListPayload(text) {
-    if (!text || !text.includes('"object"') || !text.includes('"data"')) {
-      return null;
-    }
+      .oci-lightbox[hidden] {
+        display: none;
+      }
 
-    const trimmed = text.trim();
-    if (!trimmed.startsWith("{") || !trimmed.endsWith("}")) {
-      return null;
-    }
+      .oci-lightbox-bar {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 8px 12px;
+        background: rgba(0, 0, 0, 0.35);
+      }
 
-    try {
-      const parsed = JSON.parse(trimmed);
-      if (
-        parsed &&
-        parsed.object === "list" &&
-        Array.isArray(parsed.data)
-      ) {
-        return parsed;
+      .oci-lightbox-bar button {
+        border: 1px solid rgba(255, 255, 255, 0.25);
+        background: rgba(255, 255, 255, 0.08);
+        color: inherit;
+        border-radius: 6px;
+        padding: 4px 10px;
+        font-size: 12px;
+        cursor: pointer;
       }
-    } catch (error) {
-      log("JSON parse skipped", error);
-    }
-    return null;
-  }
 
-  function normalizeRows(rows, containerElement, conversationId) {
-    const out = [];
-    const list = Array.isArray(rows) ? rows : [];
-    for (const row of list) {
-      const item = row?.item;
-      if (!item) {
-        continue;
+      .oci-lightbox-bar button:disabled {
+        opacity: 0.4;
+        cursor: default;
       }
-      if (item.type === "message") {
-        const messageId = item.id || row.id || crypto.randomUUID();
-        const role = item.role || "unknown";
-        const contentItems = Array.isArray(item.content) ? item.content : [];
-        out.push({
-          messageId,
-          role,
-          contentItems,
-          responseId: row?.response_info?.response_id || null,
-          containerElement,
-          conversationId: conversationId || null,
-        });
-        continue;
+
+      .oci-lightbox-counter {
+        min-width: 56px;
+        text-align: center;
+        font-variant-numeric: tabular-nums;
       }
 
-      if (item.type === "computer_call_output") {
-        const outputImageUrl = item?.output?.image_url;
-        if (typeof outputImageUrl === "string" && /^https?:\/\//i.test(outputImageUrl)) {
-          out.push({
-            messageId: item.id || row.id || crypto.randomUUID(),
-            role: "tool",
-            contentItems: [
-              {
-                type: "output_image_url",
-                image_url: outputImageUrl,
-              },
-            ],
-            responseId: row?.response_info?.response_id || null,
-            containerElement,
-            conversationId: conversationId || null,
-          });
-        }
+      .oci-lightbox-spacer {
+        flex: 1;
       }
-    }
-    return out;
-  }
 
-  function normalizeMessages(payload, containerElement, conversationId) {
-    return normalizeRows(payload?.data, containerElement, conversationId);
-  }
+      .oci-lightbox-stage {
+        position: relative;
+        flex: 1;
+        overflow: hidden;
+        cursor: grab;
+        touch-action: none;
+      }
 
-  function extractConversationIdFromUrl(urlLike) {
-    try {
-      const url = new URL(urlLike, window.location.origin);
-      const match = url.pathname.match(CONFIG.API.dashboardItemsPathRegex);
-      return match?.[1] || null;
-    } catch (_error) {
-      return null;
-    }
-  }
+      .oci-lightbox-stage.oci-dragging {
+        cursor: grabbing;
+      }
 
-  function extractMarkdownImages(text) {
-    const urls = [];
-    const regex = /!\[[^\]]*]\((https?:\/\/[^)\s]+)\)/gim;
-    let match;
-    while ((match = regex.exec(text)) !== null) {
-      urls.push(match[1]);
-    }
-    return urls;
-  }
+      .oci-lightbox-stage img {
+        position: absolute;
+        top: 0;
+        left: 0;
+        max-width: none;
+        transform-origin: 0 0;
+        user-select: none;
+        -webkit-user-drag: none;
+      }
 
-  function sourceKey(messageId, sourceType, sourceValue) {
-    return `${messageId}::${sourceType}::${sourceValue}`;
-  }
+      .oci-lightbox-meta {
+        padding: 8px 12px;
+        background: rgba(0, 0, 0, 0.35);
+        line-height: 1.4;
+        word-break: break-all;
+      }
 
-  function safeFileEndpoint(template, fileId) {
-    return template.replace("{file_id}", encodeURIComponent(fileId));
-  }
+      .oci-lightbox-meta span + span::before {
+        content: " · ";
+        opacity: 0.6;
+      }
 
-  function extractBearerToken(headerValue) {
-    if (!headerValue || typeof headerValue !== "string") {
-      return null;
-    }
-    const match = headerValue.match(/^Bearer\s+(.+)$/i);
-    if (!match || !match[1]) {
-      return null;
-    }
-    return match[1].trim();
-  }
+      .oci-compare-stage {
+        flex: 1;
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        gap: 10px;
+        min-height: 0;
+        padding: 12px;
+        overflow: auto;
+      }
 
-  function rememberBearerToken(headerValue) {
-    const token = extractBearerToken(headerValue);
-    if (!token) {
-      return;
-    }
-    if (state.authBearerToken !== token) {
-      state.authBearerToken = token;
-      log("Captured bearer token from platform request headers.");
-    }
-  }
+      .oci-compare-frame {
+        --oci-swipe: 50%;
+        display: grid;
+        gap: 12px;
+        max-width: 100%;
+      }
 
-  function rememberOpenAiHeaders(orgHeaderValue, projectHeaderValue) {
-    const org = typeof orgHeaderValue === "string" ? orgHeaderValue.trim() : "";
-    const project = typeof projectHeaderValue === "string" ? projectHeaderValue.trim() : "";
+      .oci-compare-frame img {
+        display: block;
+        max-width: 100%;
+        max-height: calc(100vh - 160px);
+        object-fit: contain;
+        user-select: none;
+      }
 
-    if (org && state.openaiOrganization !== org) {
-      state.openaiOrganization = org;
-      log("Captured OpenAI-Organization header from platform request headers.");
-    }
-    if (project && state.openaiProject !== project) {
-      state.openaiProject = project;
-      log("Captured OpenAI-Project header from platform request headers.");
-    }
-  }
+      .oci-compare-frame[data-oci-mode="side"] {
+        grid-template-columns: 1fr 1fr;
+      }
 
-  function resetScopedHeadersForRouteChange() {
-    if (state.openaiOrganization || state.openaiProject) {
-      log("Route changed; resetting OpenAI-Organization/OpenAI-Project for recapture.");
-    }
-    state.openaiOrganization = null;
+      .oci-compare-frame[data-oci-mode="swipe"] img,
+      .oci-compare-frame[data-oci-mode="difference"] img {
+        grid-area: 1 / 1;
+      }
+
+      .oci-compare-frame[data-oci-mode="swipe"] .oci-compare-after {
+        clip-path: inset(0 0 0 var(--oci-swipe));
+      }
+
+      .oci-compare-frame[data-oci-mode="difference"] {
+        background: #000;
+        isolation: isolate;
+      }
+
+      .oci-compare-frame[data-oci-mode="difference"] .oci-compare-after {
+        mix-blend-mode: difference;
+      }
+
+      .oci-compare-slider {
+        width: min(100%, 640px);
+      }
+
+      .oci-compare-slider[hidden] {
+        display: none;
+      }
+
+      .oci-lightbox-bar button[aria-pressed="true"] {
+        background: rgba(255, 255, 255, 0.28);
+      }
+
+      .oci-toolbar {
+        position: fixed;
+        right: 16px;
+        bottom: 16px;
+        z-index: 2147482000;
+        display: flex;
+        gap: 6px;
+      }
+
+      .oci-toolbar button {
+        border: 1px solid var(--oci-border-strong);
+        background: var(--oci-toolbar-bg);
+        color: var(--oci-text);
+        border-radius: 999px;
+        padding: 6px 12px;
+        font-size: 12px;
+        cursor: pointer;
+        box-shadow: 0 4px 14px var(--oci-shadow);
+      }
+
+      .oci-toolbar button[aria-pressed="true"] {
+        background: var(--oci-accent);
+        border-color: var(--oci-accent);
+        color: var(--oci-accent-contrast);
+      }
+
+      .oci-settings {
+        position: fixed;
+        right: 16px;
+        bottom: 60px;
+        z-index: 2147482001;
+        width: 320px;
+        max-height: calc(100vh - 96px);
+        overflow: auto;
+        padding: 12px;
+        border: 1px solid var(--oci-border);
+        border-radius: 10px;
+        background: var(--oci-surface-raised);
+        color: var(--oci-text);
+        font-size: 12px;
+        box-shadow: 0 12px 32px var(--oci-shadow);
+        color-scheme: var(--oci-color-scheme);
+      }
+
+      .oci-settings[hidden] {
+        display: none;
+      }
+
+      .oci-settings h3 {
+        margin: 0 0 8px 0;
+        font-size: 13px;
+        font-weight: 600;
+      }
+
+      .oci-settings fieldset {
+        margin: 0 0 10px 0;
+        padding: 6px 8px;
+        border: 1px solid var(--oci-border-subtle);
+        border-radius: 6px;
+      }
+
+      .oci-settings legend {
+        padding: 0 4px;
+        font-weight: 600;
+      }
+
+      .oci-settings label {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 8px;
+        padding: 3px 0;
+      }
+
+      .oci-settings input[type="number"],
+      .oci-settings input[type="text"],
+      .oci-settings select {
+        width: 110px;
+        font-size: 12px;
+      }
+
+      .oci-settings label.oci-settings-wide {
+        flex-direction: column;
+        align-items: stretch;
+      }
+
+      .oci-settings textarea {
+        font: 11px/1.4 ui-monospace, SFMono-Regular, Menlo, monospace;
+        resize: vertical;
+      }
+
+      .oci-settings-actions {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 6px;
+      }
+
+      .oci-settings-actions button {
+        font-size: 12px;
+        cursor: pointer;
+      }
+
+      .oci-settings-status {
+        min-height: 16px;
+        margin-top: 8px;
+        white-space: pre-wrap;
+      }
+
+      .oci-settings-status.oci-invalid {
+        color: var(--oci-error-text);
+      }
+
+      .oci-gallery {
+        position: fixed;
+        top: 0;
+        right: 0;
+        bottom: 0;
+        z-index: 2147481000;
+        width: min(720px, calc(100vw - 32px));
+        display: flex;
+        flex-direction: column;
+        border-left: 1px solid var(--oci-border);
+        background: var(--oci-panel);
+        box-shadow: -12px 0 32px var(--oci-shadow);
+        font-size: 12px;
+        color: var(--oci-text);
+        color-scheme: var(--oci-color-scheme);
+      }
+
+      .oci-gallery[hidden] {
+        display: none;
+      }
+
+      .oci-gallery-header {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        padding: 12px 14px 0 14px;
+      }
+
+      .oci-gallery-filters {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 4px 12px;
+        padding: 0 14px 8px 14px;
+        border-bottom: 1px solid var(--oci-border-subtle);
+      }
+
+      .oci-gallery-filters label {
+        display: inline-flex;
+        align-items: center;
+        gap: 4px;
+        cursor: pointer;
+      }
+
+      .oci-gallery-status:not(:empty) {
+        padding: 8px 14px 0 14px;
+        color: var(--oci-text-muted);
+      }
+
+      .oci-gallery-body {
+        flex: 1;
+        overflow: auto;
+        padding: 10px 14px 14px 14px;
+      }
+
+      .oci-gallery-group h4 {
+        margin: 10px 0 6px 0;
+        font-size: 12px;
+        font-weight: 600;
+        word-break: break-all;
+      }
+
+      .oci-gallery-grid {
+        display: grid;
+        grid-template-columns: repeat(auto-fill, minmax(120px, 1fr));
+        gap: 8px;
+      }
+
+      .oci-gallery-thumb {
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+        padding: 4px;
+        border: 1px solid var(--oci-border);
+        border-radius: 8px;
+        background: var(--oci-surface-raised);
+        color: inherit;
+        font-size: 11px;
+        cursor: pointer;
+        text-align: left;
+      }
+
+      .oci-gallery-thumb img {
+        width: 100%;
+        aspect-ratio: 4 / 3;
+        object-fit: cover;
+        border-radius: 6px;
+        background: var(--oci-fill);
+      }
+
+      .oci-gallery-thumb.oci-unavailable img {
+        visibility: hidden;
+      }
+
+      .oci-toolbar.oci-toolbar-raised {
+        bottom: 216px;
+      }
+
+      .oci-filmstrip {
+        position: fixed;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        z-index: 2147481000;
+        height: 200px;
+        display: flex;
+        flex-direction: column;
+        border-top: 1px solid var(--oci-border);
+        background: var(--oci-panel);
+        box-shadow: 0 -12px 32px var(--oci-shadow);
+        font-size: 12px;
+        color: var(--oci-text);
+        color-scheme: var(--oci-color-scheme);
+      }
+
+      .oci-filmstrip[hidden] {
+        display: none;
+      }
+
+      .oci-filmstrip-header {
+        display: flex;
+        align-items: center;
+        gap: 12px;
+        padding: 6px 14px;
+      }
+
+      .oci-filmstrip-header input {
+        width: 56px;
+      }
+
+      .oci-filmstrip-status {
+        flex: 1;
+        color: var(--oci-text-muted);
+      }
+
+      .oci-filmstrip-body {
+        flex: 1;
+        display: flex;
+        gap: 10px;
+        min-height: 0;
+        padding: 0 14px 10px 14px;
+      }
+
+      .oci-filmstrip-preview {
+        height: 100%;
+        aspect-ratio: 4 / 3;
+        object-fit: contain;
+        border-radius: 6px;
+        background: var(--oci-fill);
+      }
+
+      .oci-filmstrip-preview:not([src]) {
+        visibility: hidden;
+      }
+
+      .oci-filmstrip-frames {
+        flex: 1;
+        display: flex;
+        gap: 8px;
+        overflow-x: auto;
+      }
+
+      .oci-filmstrip-frame {
+        position: relative;
+        flex: 0 0 150px;
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+        padding: 4px;
+        border: 1px solid var(--oci-border);
+        border-radius: 8px;
+        background: var(--oci-surface-raised);
+        color: inherit;
+        font-size: 11px;
+        cursor: pointer;
+        text-align: left;
+      }
+
+      .oci-filmstrip-frame.oci-active {
+        border-color: var(--oci-accent);
+        box-shadow: 0 0 0 2px var(--oci-accent-ring);
+      }
+
+      .oci-filmstrip-frame img {
+        width: 100%;
+        aspect-ratio: 4 / 3;
+        object-fit: cover;
+        border-radius: 6px;
+        background: var(--oci-fill);
+      }
+
+      .oci-filmstrip-step {
+        position: absolute;
+        top: 8px;
+        left: 8px;
+        padding: 1px 6px;
+        border-radius: 999px;
+        background: var(--oci-badge-bg);
+        color: var(--oci-badge-text);
+        font-variant-numeric: tabular-nums;
+      }
+
+      .oci-filmstrip-action {
+        overflow: hidden;
+        white-space: nowrap;
+        text-overflow: ellipsis;
+      }
+
+      .oci-diagnostics-table {
+        width: 100%;
+        border-collapse: collapse;
+      }
+
+      .oci-diagnostics-table th,
+      .oci-diagnostics-table td {
+        padding: 6px 4px;
+        border-bottom: 1px solid var(--oci-border-subtle);
+        text-align: left;
+        vertical-align: top;
+        word-break: break-all;
+      }
+
+      .oci-diagnostics-table code {
+        font-size: 11px;
+        color: var(--oci-text-muted);
+      }
+
+      .oci-drop-target {
+        outline: 2px dashed var(--oci-accent-ring);
+        outline-offset: 2px;
+      }
+
+      .oci-drop-target.oci-drop-hover {
+        outline-style: solid;
+        outline-color: var(--oci-accent);
+        background: var(--oci-accent-soft);
+      }
+
+      .oci-move-picker {
+        position: fixed;
+        top: 50%;
+        left: 50%;
+        z-index: 2147483000;
+        transform: translate(-50%, -50%);
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+        width: min(560px, calc(100vw - 32px));
+        max-height: 70vh;
+        overflow: auto;
+        padding: 12px;
+        border: 1px solid var(--oci-border-strong);
+        border-radius: 10px;
+        background: var(--oci-surface-raised);
+        box-shadow: 0 12px 32px var(--oci-shadow);
+        font-size: 12px;
+        color: var(--oci-text);
+        color-scheme: var(--oci-color-scheme);
+      }
+
+      .oci-move-picker > button {
+        padding: 6px 8px;
+        border: 1px solid var(--oci-border-subtle);
+        border-radius: 6px;
+        background: var(--oci-panel);
+        color: inherit;
+        text-align: left;
+        cursor: pointer;
+        overflow: hidden;
+        white-space: nowrap;
+        text-overflow: ellipsis;
+      }
+
+      .oci-move-picker > button:disabled {
+        opacity: 0.5;
+        cursor: default;
+      }
+
+      .oci-move-picker-footer {
+        display: flex;
+        justify-content: flex-end;
+        gap: 12px;
+        margin-top: 6px;
+      }
+
+      .oci-highlight {
+        outline: 3px solid var(--oci-accent);
+        outline-offset: 3px;
+        animation: oci-flash 2.4s ease-out forwards;
+      }
+
+      @keyframes oci-flash {
+        0%, 60% {
+          outline-color: var(--oci-accent);
+        }
+        100% {
+          outline-color: transparent;
+        }
+      }
+    `;
+  }
+
+  function themeCss() {
+    return Object.entries(THEME_PALETTES)
+      .map(([name, palette]) => {
+        const selector = name === "light" ? ":root" : `:root[data-oci-theme="${name}"]`;
+        const properties = Object.entries(palette).map(([key, value]) => `--oci-${key}: ${value};`);
+        return `${selector} {\n        ${properties.join("\n        ")}\n      }`;
+      })
+      .join("\n\n      ");
+  }
+
+  function detectPlatformTheme() {
+    for (const el of [document.documentElement, document.body]) {
+      if (!el) {
+        continue;
+      }
+      const hints = [
+        el.getAttribute("data-theme"),
+        el.getAttribute("data-color-mode"),
+        el.getAttribute("data-mode"),
+        el.className,
+      ].join(" ").toLowerCase();
+      if (/\bdark\b/.test(hints)) {
+        return "dark";
+      }
+      if (/\blight\b/.test(hints)) {
+        return "light";
+      }
+      if (el.style.colorScheme === "dark" || el.style.colorScheme === "light") {
+        return el.style.colorScheme;
+      }
+    }
+    return window.matchMedia?.("(prefers-color-scheme: dark)").matches ? "dark" : "light";
+  }
+
+  function applyTheme() {
+    const theme = CONFIG.UI.theme === "auto" ? detectPlatformTheme() : CONFIG.UI.theme;
+    if (document.documentElement.getAttribute("data-oci-theme") !== theme) {
+      document.documentElement.setAttribute("data-oci-theme", theme);
+      log("Theme", theme, CONFIG.UI.theme === "auto" ? "(detected)" : "(configured)");
+    }
+  }
+
+  function watchTheme() {
+    applyTheme();
+    const observer = new MutationObserver(() => applyTheme());
+    const options = {
+      attributes: true,
+      attributeFilter: ["class", "style", "data-theme", "data-color-mode", "data-mode"],
+    };
+    observer.observe(document.documentElement, options);
+    if (document.body) {
+      observer.observe(document.body, options);
+    }
+    window.matchMedia?.("(prefers-color-scheme: dark)").addEventListener?.("change", () => applyTheme());
+  }
+
+  function getNodeText(node) {
+    if (!node || !(node instanceof Element)) {
+      return "";
+    }
+    if (node.tagName === "PRE" || node.tagName === "CODE") {
+      return node.textContent || "";
+    }
+    return node.innerText || node.textContent || "";
+  }
+
+  function maybeParseListPayload(text) {
+    if (!text || !text.includes('"object"') || !text.includes('"data"')) {
+      return null;
+    }
+
+    const trimmed = text.trim();
+    if (!trimmed.startsWith("{") || !trimmed.endsWith("}")) {
+      return null;
+    }
+
+    try {
+      const parsed = JSON.parse(trimmed);
+      if (
+        parsed &&
+        parsed.object === "list" &&
+        Array.isArray(parsed.data)
+      ) {
+        return parsed;
+      }
+    } catch (error) {
+      log("JSON parse skipped", error);
+    }
+    return null;
+  }
+
+  function normalizeRows(rows, containerElement, conversationId) {
+    const out = [];
+    const list = Array.isArray(rows) ? rows : [];
+    // A computer_call is planned on the screenshot the model last saw, so its
+    // actions belong to the previous computer_call_output, not the one it produces.
+    const nextActionsByCallId = new Map();
+    const functionNamesByCallId = new Map();
+    let previousScreenshotCallId = null;
+    for (const row of list) {
+      const item = row?.item;
+      if (item?.type === "function_call" && item.call_id) {
+        functionNamesByCallId.set(item.call_id, item.name || null);
+      }
+      if (item?.type === "computer_call" && previousScreenshotCallId) {
+        const actions = Array.isArray(item.actions) ? item.actions : [item.action];
+        nextActionsByCallId.set(
+          previousScreenshotCallId,
+          actions.filter((action) => action && typeof action.type === "string")
+        );
+        previousScreenshotCallId = null;
+      }
+      if (item?.type === "computer_call_output" && item.call_id && item.output?.image_url) {
+        previousScreenshotCallId = item.call_id;
+      }
+    }
+    for (const row of list) {
+      const item = row?.item;
+      if (!item) {
+        continue;
+      }
+      if (item.type === "message") {
+        const messageId = item.id || rowKeyForItem(row);
+        const role = item.role || "unknown";
+        const contentItems = Array.isArray(item.content) ? item.content : [];
+        out.push({
+          messageId,
+          role,
+          contentItems,
+          responseId: row?.response_info?.response_id || null,
+          containerElement,
+          conversationId: conversationId || null,
+        });
+        continue;
+      }
+
+      if (item.type === "image_generation_call") {
+        if (typeof item.result === "string" && item.result.length > 0) {
+          out.push({
+            messageId: item.id || rowKeyForItem(row),
+            role: "tool",
+            contentItems: [
+              {
+                type: "image_generation_result",
+                result: item.result,
+                output_format: item.output_format || null,
+                size: item.size || null,
+                quality: item.quality || null,
+                revised_prompt: item.revised_prompt || null,
+              },
+            ],
+            responseId: row?.response_info?.response_id || null,
+            containerElement,
+            conversationId: conversationId || null,
+          });
+        }
+        continue;
+      }
+
+      // Every call and output is pushed, image or not, so each one claims its own
+      // tool block and later images are not shifted onto an earlier call.
+      if (item.type === "function_call" || item.type === "function_call_output") {
+        const isCall = item.type === "function_call";
+        const payload = isCall ? item.arguments : item.output;
+        const payloadText = typeof payload === "string" ? payload : JSON.stringify(payload ?? "");
+        out.push({
+          messageId: item.id || rowKeyForItem(row),
+          role: "tool",
+          contentItems: [
+            {
+              type: "function_call_json",
+              kind: isCall ? "arguments" : "output",
+              name: (isCall ? item.name : functionNamesByCallId.get(item.call_id)) || null,
+              call_id: item.call_id || null,
+              text: payloadText.slice(0, 500),
+              refs: findJsonImageRefs(payload),
+            },
+          ],
+          responseId: row?.response_info?.response_id || null,
+          containerElement,
+          conversationId: conversationId || null,
+        });
+        continue;
+      }
+
+      if (item.type === "computer_call_output") {
+        const outputImageUrl = item?.output?.image_url;
+        if (
+          typeof outputImageUrl === "string" &&
+          (/^https?:\/\//i.test(outputImageUrl) || parseDataImageUrl(outputImageUrl))
+        ) {
+          out.push({
+            messageId: item.id || rowKeyForItem(row),
+            role: "tool",
+            contentItems: [
+              {
+                type: "output_image_url",
+                image_url: outputImageUrl,
+                call_id: item.call_id || null,
+                actions: nextActionsByCallId.get(item.call_id) || [],
+              },
+            ],
+            responseId: row?.response_info?.response_id || null,
+            containerElement,
+            conversationId: conversationId || null,
+          });
+        }
+      }
+    }
+    return out;
+  }
+
+  function normalizeMessages(payload, containerElement, conversationId) {
+    return normalizeRows(payload?.data, containerElement, conversationId);
+  }
+
+  function extractConversationIdFromUrl(urlLike) {
+    try {
+      const url = new URL(urlLike, window.location.origin);
+      const match = url.pathname.match(CONFIG.API.dashboardItemsPathRegex);
+      return match?.[1] || null;
+    } catch (_error) {
+      return null;
+    }
+  }
+
+  function extractConversationIdFromLocation(urlLike) {
+    try {
+      const url = new URL(urlLike, window.location.origin);
+      const match = url.pathname.match(CONFIG.API.logsConversationPathRegex);
+      return match?.[1] || null;
+    } catch (_error) {
+      return null;
+    }
+  }
+
+  function getCurrentConversationId() {
+    return (
+      extractConversationIdFromLocation(window.location.href) ||
+      state.lastCapturedConversationId
+    );
+  }
+
+  function getCurrentConversationMessages() {
+    const convId = getCurrentConversationId();
+    return (convId && state.convIdToMessages.get(convId)) || [];
+  }
+
+  function extractMarkdownImages(text) {
+    const prose = [];
+    const definitions = new Map();
+    let fence = null;
+    let indentedCode = false;
+    let previousBlank = true;
+    let inList = false;
+    for (const line of String(text).split("\n")) {
+      if (fence) {
+        const close = line.match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+        if (close && close[1][0] === fence[0] && close[1].length >= fence.length) {
+          fence = null;
+        }
+        prose.push("");
+        continue;
+      }
+      const blank = !line.trim();
+      const indented = /^(?: {4}|\t)/.test(line);
+      // Indented code starts after a blank line; inside a list the same indent continues the item.
+      if (!blank && indented && (indentedCode || (previousBlank && !inList))) {
+        indentedCode = true;
+        previousBlank = false;
+        prose.push("");
+        continue;
+      }
+      if (!blank) {
+        indentedCode = false;
+        if (/^ {0,3}(?:[-+*]|\d{1,9}[.)])(?:[ \t]|$)/.test(line)) {
+          inList = true;
+        } else if (!indented && previousBlank) {
+          inList = false;
+        }
+      }
+      previousBlank = blank;
+      const open = line.match(/^ {0,3}(`{3,}|~{3,})(.*)$/);
+      if (open && !(open[1][0] === "`" && open[2].includes("`"))) {
+        fence = open[1];
+        prose.push("");
+        continue;
+      }
+      const definition = parseLinkReferenceDefinition(line);
+      if (definition) {
+        if (!definitions.has(definition.label)) {
+          definitions.set(definition.label, definition);
+        }
+        prose.push("");
+        continue;
+      }
+      prose.push(line);
+    }
+    return scanInlineImages(prose.join("\n"), definitions).filter((image) =>
+      /^https?:\/\//i.test(image.url)
+    );
+  }
+
+  function parseLinkReferenceDefinition(line) {
+    const match = line.match(
+      /^ {0,3}\[((?:[^[\]\\]|\\.)+)\]:[ \t]*(?:<([^<>\n]*)>|(\S+))(?:[ \t]+("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\)))?[ \t]*$/
+    );
+    if (!match || !match[1].trim()) {
+      return null;
+    }
+    return {
+      label: normalizeLinkLabel(match[1]),
+      url: unescapeMarkdown(match[2] ?? match[3]),
+      title: match[4] ? unescapeMarkdown(match[4].slice(1, -1)) : "",
+    };
+  }
+
+  function scanInlineImages(source, definitions) {
+    const images = [];
+    const htmlImage = /<img\b[^>]*>/iy;
+    let i = 0;
+    while (i < source.length) {
+      const char = source[i];
+      if (char === "\\") {
+        i += 2;
+        continue;
+      }
+      if (char === "`") {
+        i = skipCodeSpan(source, i);
+        continue;
+      }
+      if (char === "<") {
+        htmlImage.lastIndex = i;
+        const tag = htmlImage.exec(source);
+        if (tag) {
+          const image = parseHtmlImageTag(tag[0]);
+          if (image) {
+            images.push(image);
+          }
+          i = htmlImage.lastIndex;
+          continue;
+        }
+      }
+      if (char === "!" && source[i + 1] === "[") {
+        const parsed = parseMarkdownImageAt(source, i, definitions);
+        if (parsed) {
+          images.push(parsed.image);
+          i = parsed.end;
+          continue;
+        }
+      }
+      i += 1;
+    }
+    return images;
+  }
+
+  function skipCodeSpan(source, start) {
+    let end = start;
+    while (source[end] === "`") {
+      end += 1;
+    }
+    const run = end - start;
+    for (let i = source.indexOf("`", end); i >= 0; i = source.indexOf("`", i)) {
+      let closeEnd = i;
+      while (source[closeEnd] === "`") {
+        closeEnd += 1;
+      }
+      if (closeEnd - i === run) {
+        return closeEnd;
+      }
+      i = closeEnd;
+    }
+    // An unmatched backtick run is literal text.
+    return end;
+  }
+
+  function findClosingBracket(source, openIndex) {
+    let depth = 0;
+    for (let i = openIndex; i < source.length; i += 1) {
+      const char = source[i];
+      if (char === "\\") {
+        i += 1;
+      } else if (char === "[") {
+        depth += 1;
+      } else if (char === "]") {
+        depth -= 1;
+        if (depth === 0) {
+          return i;
+        }
+      } else if (char === "\n" && source[i + 1] === "\n") {
+        return -1;
+      }
+    }
+    return -1;
+  }
+
+  function parseMarkdownImageAt(source, start, definitions) {
+    const labelEnd = findClosingBracket(source, start + 1);
+    if (labelEnd < 0) {
+      return null;
+    }
+    const rawAlt = source.slice(start + 2, labelEnd);
+    const alt = plainAltText(rawAlt);
+    let end = labelEnd + 1;
+    if (source[end] === "(") {
+      const inline = parseInlineLinkTail(source, end + 1);
+      if (inline) {
+        return { image: { url: inline.url, alt, title: inline.title }, end: inline.end };
+      }
+    }
+    let label = rawAlt;
+    if (source[end] === "[") {
+      const refEnd = findClosingBracket(source, end);
+      if (refEnd >= 0) {
+        const ref = source.slice(end + 1, refEnd);
+        label = ref.trim() ? ref : rawAlt;
+        end = refEnd + 1;
+      }
+    }
+    const definition = definitions.get(normalizeLinkLabel(label));
+    return definition ? { image: { url: definition.url, alt, title: definition.title }, end } : null;
+  }
+
+  function parseInlineLinkTail(source, start) {
+    let i = start;
+    while (source[i] === " " || source[i] === "\t" || source[i] === "\n") {
+      i += 1;
+    }
+    let url;
+    if (source[i] === "<") {
+      const close = source.indexOf(">", i);
+      const inner = close < 0 ? "" : source.slice(i + 1, close);
+      if (close < 0 || /[<\n]/.test(inner)) {
+        return null;
+      }
+      url = inner;
+      i = close + 1;
+    } else {
+      const begin = i;
+      let depth = 0;
+      for (; i < source.length; i += 1) {
+        const char = source[i];
+        if (char === "\\") {
+          i += 1;
+        } else if (char === "(") {
+          depth += 1;
+        } else if (char === ")") {
+          if (depth === 0) {
+            break;
+          }
+          depth -= 1;
+        } else if (/\s/.test(char)) {
+          break;
+        }
+      }
+      url = source.slice(begin, i);
+    }
+    const tail = /[ \t]*\n?[ \t]*(?:("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\))[ \t]*\n?[ \t]*)?\)/y;
+    tail.lastIndex = i;
+    const match = tail.exec(source);
+    if (!match) {
+      return null;
+    }
+    return {
+      url: unescapeMarkdown(url),
+      title: match[1] ? unescapeMarkdown(match[1].slice(1, -1)) : "",
+      end: tail.lastIndex,
+    };
+  }
+
+  function parseHtmlImageTag(tag) {
+    const attributes = {};
+    const pattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+    for (const match of tag.slice(4).matchAll(pattern)) {
+      attributes[match[1].toLowerCase()] = decodeHtmlEntities(match[2] ?? match[3] ?? match[4]);
+    }
+    if (!attributes.src) {
+      return null;
+    }
+    return { url: attributes.src.trim(), alt: attributes.alt || "", title: attributes.title || "" };
+  }
+
+  function plainAltText(raw) {
+    return unescapeMarkdown(
+      raw
+        .replace(/!?\[([^\]]*)\](\([^)]*\)|\[[^\]]*\])?/g, "$1")
+        .replace(/`+([^`]*)`+/g, "$1")
+        .replace(/(\*{1,3})(?=\S)(.+?)(?<=\S)\1/g, "$2")
+        .replace(/(?<!\w)(_{1,3})(?=\S)(.+?)(?<=\S)\1(?!\w)/g, "$2")
+        .replace(/\s+/g, " ")
+        .trim()
+    );
+  }
+
+  function normalizeLinkLabel(label) {
+    return label.trim().replace(/\s+/g, " ").toLowerCase();
+  }
+
+  function unescapeMarkdown(value) {
+    return decodeHtmlEntities(value.replace(/\\([!-/:-@[-`{-~])/g, "$1"));
+  }
+
+  function decodeHtmlEntities(value) {
+    if (!value.includes("&")) {
+      return value;
+    }
+    const decoder = document.createElement("textarea");
+    decoder.innerHTML = value;
+    return decoder.value;
+  }
+
+  function isImageReference(value) {
+    return (
+      /^https?:\/\/[^\s?#]+\.(png|jpe?g|gif|webp|avif|bmp|svg)([?#]\S*)?$/i.test(value) ||
+      Boolean(parseDataImageUrl(value)) ||
+      /^file-[A-Za-z0-9_-]{4,}$/.test(value)
+    );
+  }
+
+  function findJsonImageRefs(value, path = "$", refs = [], depth = 0) {
+    if (refs.length >= 50 || depth > 24) {
+      return refs;
+    }
+    if (typeof value === "string") {
+      const trimmed = value.trim();
+      if (isImageReference(trimmed)) {
+        refs.push({ path, value: trimmed });
+      } else if (/^[[{]/.test(trimmed)) {
+        // Tool arguments and outputs are usually JSON encoded as a string, sometimes twice.
+        try {
+          findJsonImageRefs(JSON.parse(trimmed), path, refs, depth + 1);
+        } catch (_error) {
+          // Not JSON after all.
+        }
+      }
+    } else if (Array.isArray(value)) {
+      value.forEach((entry, index) => findJsonImageRefs(entry, `${path}[${index}]`, refs, depth + 1));
+    } else if (value && typeof value === "object") {
+      for (const [key, entry] of Object.entries(value)) {
+        const segment = /^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`;
+        findJsonImageRefs(entry, `${path}${segment}`, refs, depth + 1);
+      }
+    }
+    return refs;
+  }
+
+  function parseDataImageUrl(value) {
+    const parsed = parseDataUrl(value);
+    return parsed && parsed.mime.startsWith("image/") ? parsed : null;
+  }
+
+  function parseDataUrl(value) {
+    if (typeof value !== "string" || !/^data:/i.test(value)) {
+      return null;
+    }
+    const comma = value.indexOf(",");
+    if (comma < 0) {
+      return null;
+    }
+    const header = value.slice(5, comma);
+    if (!/;base64$/i.test(header)) {
+      return null;
+    }
+    return {
+      mime: header.split(";")[0].toLowerCase(),
+      base64: value.slice(comma + 1),
+    };
+  }
+
+  function sniffBase64ImageMime(base64) {
+    if (base64.startsWith("iVBOR")) {
+      return "image/png";
+    }
+    if (base64.startsWith("/9j/")) {
+      return "image/jpeg";
+    }
+    if (base64.startsWith("R0lGOD")) {
+      return "image/gif";
+    }
+    if (base64.startsWith("UklGR")) {
+      return "image/webp";
+    }
+    return "image/png";
+  }
+
+  function readBase64ImageDimensions(base64) {
+    let head;
+    try {
+      head = atob(base64.slice(0, 32));
+    } catch (_error) {
+      return null;
+    }
+    const byte = (i) => head.charCodeAt(i);
+    if (head.startsWith("\x89PNG") && head.length >= 24) {
+      return {
+        width: ((byte(16) << 24) | (byte(17) << 16) | (byte(18) << 8) | byte(19)) >>> 0,
+        height: ((byte(20) << 24) | (byte(21) << 16) | (byte(22) << 8) | byte(23)) >>> 0,
+      };
+    }
+    if (head.startsWith("GIF8") && head.length >= 10) {
+      return {
+        width: byte(6) | (byte(7) << 8),
+        height: byte(8) | (byte(9) << 8),
+      };
+    }
+    return null;
+  }
+
+  function formatBytes(bytes) {
+    if (!Number.isFinite(bytes) || bytes < 0) {
+      return "";
+    }
+    if (bytes < 1024) {
+      return `${bytes} B`;
+    }
+    if (bytes < 1024 * 1024) {
+      return `${(bytes / 1024).toFixed(1)} KB`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  function describeInlineData(owner, base64, mimeHint, sizeHint) {
+    const cached = state.inlineImageInfo.get(owner);
+    if (cached) {
+      return cached;
+    }
+    const padding = base64.endsWith("==") ? 2 : base64.endsWith("=") ? 1 : 0;
+    const sizeMatch = typeof sizeHint === "string" ? sizeHint.match(/^(\d+)x(\d+)$/) : null;
+    const dimensions = sizeMatch
+      ? { width: Number(sizeMatch[1]), height: Number(sizeMatch[2]) }
+      : readBase64ImageDimensions(base64);
+    // Hash only the head and tail so multi-megabyte payloads stay cheap to key.
+    const sample = 64 * 1024;
+    const info = {
+      key: `b64:${base64.length}:${hashString(base64.slice(0, sample))}${hashString(base64.slice(-sample))}`,
+      base64,
+      mime: mimeHint || sniffBase64ImageMime(base64),
+      bytes: Math.max(0, Math.floor((base64.length * 3) / 4) - padding),
+      width: dimensions?.width || null,
+      height: dimensions?.height || null,
+    };
+    state.inlineImageInfo.set(owner, info);
+    return info;
+  }
+
+  function inlineImageCaption(label, info) {
+    return [
+      label,
+      info.mime.replace(/^image\//, "").toUpperCase(),
+      info.width && info.height ? `${info.width}×${info.height}` : "",
+      formatBytes(info.bytes),
+    ]
+      .filter(Boolean)
+      .join(" · ");
+  }
+
+  function yieldToMainThread() {
+    return new Promise((resolve) => setTimeout(resolve, 0));
+  }
+
+  async function resolveInlineData(info) {
+    if (state.fileIdToObjectUrl.has(info.key)) {
+      return state.fileIdToObjectUrl.get(info.key);
+    }
+    if (state.inlineDecodeInFlight.has(info.key)) {
+      return state.inlineDecodeInFlight.get(info.key);
+    }
+    const request = (async () => {
+      const base64 = /\s/.test(info.base64) ? info.base64.replace(/\s+/g, "") : info.base64;
+      const chunkChars = 512 * 1024;
+      const parts = [];
+      for (let offset = 0; offset < base64.length; offset += chunkChars) {
+        const binary = atob(base64.slice(offset, offset + chunkChars));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i += 1) {
+          bytes[i] = binary.charCodeAt(i);
+        }
+        parts.push(bytes);
+        if (offset + chunkChars < base64.length) {
+          // Decode large payloads in slices so the page stays responsive.
+          // eslint-disable-next-line no-await-in-loop
+          await yieldToMainThread();
+        }
+      }
+      const blob = new Blob(parts, { type: info.mime });
+      const url = URL.createObjectURL(blob);
+      state.fileIdToObjectUrl.set(info.key, url);
+      state.objectUrlToBlob.set(url, blob);
+      return url;
+    })();
+    state.inlineDecodeInFlight.set(info.key, request);
+    try {
+      return await request;
+    } finally {
+      state.inlineDecodeInFlight.delete(info.key);
+    }
+  }
+
+  function sourceKey(messageId, sourceType, sourceValue) {
+    return `${messageId}::${sourceType}::${sourceValue}`;
+  }
+
+  function safeFileEndpoint(template, fileId) {
+    return template.replace("{file_id}", encodeURIComponent(fileId));
+  }
+
+  function extractBearerToken(headerValue) {
+    if (!headerValue || typeof headerValue !== "string") {
+      return null;
+    }
+    const match = headerValue.match(/^Bearer\s+(.+)$/i);
+    if (!match || !match[1]) {
+      return null;
+    }
+    return match[1].trim();
+  }
+
+  function rememberBearerToken(headerValue) {
+    const token = extractBearerToken(headerValue);
+    if (!token) {
+      return;
+    }
+    if (state.authBearerToken !== token) {
+      state.authBearerToken = token;
+      log("Captured bearer token from platform request headers.");
+    }
+  }
+
+  function rememberOpenAiHeaders(orgHeaderValue, projectHeaderValue) {
+    const org = typeof orgHeaderValue === "string" ? orgHeaderValue.trim() : "";
+    const project = typeof projectHeaderValue === "string" ? projectHeaderValue.trim() : "";
+
+    if (org && state.openaiOrganization !== org) {
+      state.openaiOrganization = org;
+      log("Captured OpenAI-Organization header from platform request headers.");
+    }
+    if (project && state.openaiProject !== project) {
+      state.openaiProject = project;
+      log("Captured OpenAI-Project header from platform request headers.");
+    }
+  }
+
+  function resetScopedHeadersForRouteChange() {
+    if (state.openaiOrganization || state.openaiProject) {
+      log("Route changed; resetting OpenAI-Organization/OpenAI-Project for recapture.");
+    }
+    state.openaiOrganization = null;
     state.openaiProject = null;
   }
 
-  function refreshRouteScopedState() {
-    const href = window.location.href;
-    if (!state.lastKnownHref) {
-      state.lastKnownHref = href;
+  function refreshRouteScopedState() {
+    const href = window.location.href;
+    if (!state.lastKnownHref) {
+      state.lastKnownHref = href;
+      return;
+    }
+    if (href !== state.lastKnownHref) {
+      const previousHref = state.lastKnownHref;
+      state.lastKnownHref = href;
+      resetScopedHeadersForRouteChange();
+      state.textAnchoredCards.clear();
+      state.textAnchorWalk = null;
+      hydrateConversationFromCache();
+      emitRendererEvent("routeChanged", {
+        conversationId: extractConversationIdFromLocation(href),
+        href,
+        previousHref,
+      });
+    }
+  }
+
+  function getHeaderValue(headersLike, headerName) {
+    if (!headersLike) {
+      return null;
+    }
+    const target = String(headerName || "").toLowerCase();
+    if (!target) {
+      return null;
+    }
+    if (headersLike instanceof Headers) {
+      return headersLike.get(headerName);
+    }
+    if (Array.isArray(headersLike)) {
+      for (const pair of headersLike) {
+        if (!Array.isArray(pair) || pair.length < 2) {
+          continue;
+        }
+        if (String(pair[0] || "").toLowerCase() === target) {
+          return String(pair[1] || "");
+        }
+      }
+      return null;
+    }
+    if (typeof headersLike === "object") {
+      for (const [key, value] of Object.entries(headersLike)) {
+        if (String(key || "").toLowerCase() === target) {
+          return typeof value === "string" ? value : String(value);
+        }
+      }
+    }
+    return null;
+  }
+
+  function captureBearerFromFetchArgs(args) {
+    const input = args[0];
+    const init = args[1];
+    let org = null;
+    let project = null;
+    if (input instanceof Request) {
+      rememberBearerToken(input.headers.get("authorization"));
+      org = input.headers.get("openai-organization");
+      project = input.headers.get("openai-project");
+    }
+    if (init && typeof init === "object") {
+      rememberBearerToken(getHeaderValue(init.headers, "authorization"));
+      org = org || getHeaderValue(init.headers, "openai-organization");
+      project = project || getHeaderValue(init.headers, "openai-project");
+    }
+    rememberOpenAiHeaders(org, project);
+  }
+
+  function captureItemsRequestHeaders(requestUrl, headersLike) {
+    if (!requestUrl || !isDashboardItemsRequest(requestUrl)) {
+      return;
+    }
+    const conversationId =
+      extractConversationIdFromUrl(requestUrl) ||
+      extractConversationIdFromUrl(window.location.href) ||
+      "unknown";
+
+    const authorization =
+      getHeaderValue(headersLike, "authorization") || null;
+    const organization =
+      getHeaderValue(headersLike, "openai-organization") || null;
+    const project =
+      getHeaderValue(headersLike, "openai-project") || null;
+
+    const previous = state.convIdToRequestHeaders.get(conversationId) || {};
+    const next = {
+      authorization: authorization || previous.authorization || null,
+      openaiOrganization: organization || previous.openaiOrganization || null,
+      openaiProject: project || previous.openaiProject || null,
+    };
+
+    state.convIdToRequestHeaders.set(conversationId, next);
+
+    if (next.authorization) {
+      rememberBearerToken(next.authorization);
+    }
+    rememberOpenAiHeaders(next.openaiOrganization, next.openaiProject);
+  }
+
+  function resolveAuthHeadersForConversation(conversationId) {
+    const convId =
+      conversationId ||
+      extractConversationIdFromUrl(window.location.href) ||
+      "unknown";
+    const scoped = state.convIdToRequestHeaders.get(convId) || null;
+
+    const headers = {};
+    const scopedAuth = scoped?.authorization || null;
+    const scopedOrg = scoped?.openaiOrganization || null;
+    const scopedProject = scoped?.openaiProject || null;
+
+    if (scopedAuth) {
+      headers.Authorization = scopedAuth;
+    } else if (state.authBearerToken) {
+      headers.Authorization = `Bearer ${state.authBearerToken}`;
+    }
+
+    if (scopedOrg) {
+      headers["OpenAI-Organization"] = scopedOrg;
+    } else if (state.openaiOrganization) {
+      headers["OpenAI-Organization"] = state.openaiOrganization;
+    }
+
+    if (scopedProject) {
+      headers["OpenAI-Project"] = scopedProject;
+    } else if (state.openaiProject) {
+      headers["OpenAI-Project"] = state.openaiProject;
+    }
+
+    return headers;
+  }
+
+  function escapeAttrValue(value) {
+    const v = String(value);
+    if (typeof CSS !== "undefined" && typeof CSS.escape === "function") {
+      return CSS.escape(v);
+    }
+    return v.replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+  }
+
+  function parseExpiryValue(value) {
+    if (typeof value === "number" && Number.isFinite(value)) {
+      // Seconds since epoch unless the value is already in milliseconds.
+      return value < 1e12 ? value * 1000 : value;
+    }
+    if (typeof value === "string" && value.trim()) {
+      const trimmed = value.trim();
+      if (/^\d+$/.test(trimmed)) {
+        return parseExpiryValue(Number(trimmed));
+      }
+      const parsed = Date.parse(trimmed);
+      return Number.isNaN(parsed) ? null : parsed;
+    }
+    return null;
+  }
+
+  function parseSignedUrlExpiry(urlLike) {
+    let url;
+    try {
+      url = new URL(urlLike);
+    } catch (_error) {
+      return null;
+    }
+    const params = url.searchParams;
+
+    // Azure SAS: se=2024-01-01T00:00:00Z
+    const azureExpiry = parseExpiryValue(params.get("se"));
+    if (azureExpiry) {
+      return azureExpiry;
+    }
+
+    // AWS SigV4: X-Amz-Date=20240101T000000Z&X-Amz-Expires=3600
+    const amzDate = params.get("X-Amz-Date");
+    const amzExpires = Number(params.get("X-Amz-Expires"));
+    if (amzDate && Number.isFinite(amzExpires)) {
+      const match = amzDate.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+      if (match) {
+        const signedAt = Date.UTC(
+          Number(match[1]),
+          Number(match[2]) - 1,
+          Number(match[3]),
+          Number(match[4]),
+          Number(match[5]),
+          Number(match[6])
+        );
+        return signedAt + amzExpires * 1000;
+      }
+    }
+
+    // GCS v2 / CloudFront style epoch seconds.
+    for (const name of ["Expires", "expires", "exp"]) {
+      const value = parseExpiryValue(params.get(name));
+      if (value) {
+        return value;
+      }
+    }
+    return null;
+  }
+
+  function resolveSignedUrlExpiry(payload, signedUrl) {
+    const fromPayload =
+      parseExpiryValue(payload?.expires_at) ||
+      (Number.isFinite(payload?.expires_in) ? Date.now() + payload.expires_in * 1000 : null);
+    return (
+      fromPayload ||
+      parseSignedUrlExpiry(signedUrl) ||
+      Date.now() + CONFIG.API.signedUrlFallbackTtlMs
+    );
+  }
+
+  function invalidateResolvedFile(fileId) {
+    const cacheKey = state.fileIdToCacheKey.get(fileId);
+    if (cacheKey && state.fileIdToResolvedSrc.has(fileId)) {
+      cacheDelete(cacheKey);
+    }
+    state.fileIdToResolvedSrc.delete(fileId);
+    state.fileIdToExpiresAtMs.delete(fileId);
+    const timer = state.fileIdRefreshTimers.get(fileId);
+    if (timer) {
+      clearTimeout(timer);
+      state.fileIdRefreshTimers.delete(fileId);
+    }
+  }
+
+  function isResolvedFileFresh(fileId) {
+    const expiresAt = state.fileIdToExpiresAtMs.get(fileId);
+    return !expiresAt || expiresAt - Date.now() > 5_000;
+  }
+
+  function scheduleSignedUrlRefresh(fileId, conversationId) {
+    const expiresAt = state.fileIdToExpiresAtMs.get(fileId);
+    if (!expiresAt) {
+      return;
+    }
+    const previous = state.fileIdRefreshTimers.get(fileId);
+    if (previous) {
+      clearTimeout(previous);
+    }
+    const remaining = expiresAt - Date.now();
+    const lead = Math.min(CONFIG.API.signedUrlRefreshLeadMs, remaining / 2);
+    // setTimeout overflows past ~24.8 days; far-future expiries just re-arm later.
+    const delay = Math.min(Math.max(remaining - lead, 0), 2_147_000_000);
+    const timer = setTimeout(() => {
+      state.fileIdRefreshTimers.delete(fileId);
+      refreshSignedUrl(fileId, conversationId);
+    }, delay);
+    state.fileIdRefreshTimers.set(fileId, timer);
+  }
+
+  async function refreshSignedUrl(fileId, conversationId) {
+    if (Date.now() < (state.fileIdToExpiresAtMs.get(fileId) || 0) - CONFIG.API.signedUrlRefreshLeadMs) {
+      scheduleSignedUrlRefresh(fileId, conversationId);
+      return;
+    }
+    const elements = document.querySelectorAll(
+      `[data-oci-file-id="${escapeAttrValue(fileId)}"]`
+    );
+    invalidateResolvedFile(fileId);
+    if (elements.length === 0) {
+      return;
+    }
+    try {
+      const freshSrc = await resolveFileImage(fileId, conversationId);
+      for (const el of elements) {
+        applyResolvedSrc(el, el instanceof HTMLObjectElement ? `${freshSrc}#page=1&view=FitH` : freshSrc);
+      }
+      log("Refreshed signed URL before expiry", fileId);
+    } catch (error) {
+      log("Signed URL refresh failed", fileId, error);
+    }
+  }
+
+  function rememberFileMeta(fileId, payload) {
+    const filename = payload.filename || payload.file_name || "";
+    const mimeType =
+      payload.mime_type || payload.content_type || payload.mimetype || guessMimeFromFilename(filename);
+    const bytes = [payload.bytes, payload.size, payload.file_size].find((value) => Number.isFinite(value));
+    if (filename || mimeType || bytes !== undefined) {
+      state.fileIdToMeta.set(fileId, {
+        ...state.fileIdToMeta.get(fileId),
+        filename,
+        mimeType,
+        bytes: bytes ?? null,
+      });
+    }
+  }
+
+  function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function openCacheDb() {
+    if (!CONFIG.CACHE.enabled || typeof indexedDB === "undefined") {
+      return Promise.resolve(null);
+    }
+    if (!state.cacheDbPromise) {
+      state.cacheDbPromise = new Promise((resolve) => {
+        const request = indexedDB.open(CONFIG.CACHE.dbName, 1);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains("entries")) {
+            const store = db.createObjectStore("entries", { keyPath: "key" });
+            store.createIndex("lastAccess", "lastAccess");
+          }
+        };
+        request.onsuccess = () => {
+          const db = request.result;
+          // Let "Clear image cache" in another tab delete the database.
+          db.onversionchange = () => {
+            db.close();
+            state.cacheDbPromise = null;
+          };
+          resolve(db);
+        };
+        request.onerror = () => {
+          log("IndexedDB cache unavailable", request.error);
+          resolve(null);
+        };
+        request.onblocked = () => resolve(null);
+      });
+    }
+    return state.cacheDbPromise;
+  }
+
+  async function cacheGet(key) {
+    const db = await openCacheDb();
+    if (!db) {
+      return null;
+    }
+    try {
+      const store = db.transaction("entries", "readwrite").objectStore("entries");
+      const entry = await idbRequest(store.get(key));
+      if (!entry) {
+        return null;
+      }
+      entry.lastAccess = Date.now();
+      store.put(entry);
+      return entry;
+    } catch (error) {
+      log("Cache read failed", key, error);
+      return null;
+    }
+  }
+
+  async function cachePut(key, kind, value) {
+    const db = await openCacheDb();
+    if (!db) {
+      return;
+    }
+    try {
+      const size = JSON.stringify(value).length;
+      const store = db.transaction("entries", "readwrite").objectStore("entries");
+      await idbRequest(store.put({ key, kind, value, size, lastAccess: Date.now() }));
+      scheduleCacheEviction();
+    } catch (error) {
+      log("Cache write failed", key, error);
+    }
+  }
+
+  async function cacheDelete(key) {
+    const db = await openCacheDb();
+    if (!db) {
+      return;
+    }
+    try {
+      await idbRequest(db.transaction("entries", "readwrite").objectStore("entries").delete(key));
+    } catch (error) {
+      log("Cache delete failed", key, error);
+    }
+  }
+
+  function scheduleCacheEviction() {
+    if (state.cacheEvictionTimer !== null) {
+      return;
+    }
+    state.cacheEvictionTimer = setTimeout(() => {
+      state.cacheEvictionTimer = null;
+      evictCacheEntries();
+    }, 2_000);
+  }
+
+  async function evictCacheEntries() {
+    const db = await openCacheDb();
+    if (!db) {
+      return;
+    }
+    try {
+      const store = db.transaction("entries", "readonly").objectStore("entries");
+      const entries = await idbRequest(store.index("lastAccess").getAll());
+      let count = entries.length;
+      let bytes = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+      const doomed = [];
+      // getAll() on the index returns entries oldest-access first.
+      for (const entry of entries) {
+        if (count <= CONFIG.CACHE.maxEntries && bytes <= CONFIG.CACHE.maxBytes) {
+          break;
+        }
+        doomed.push(entry.key);
+        count -= 1;
+        bytes -= entry.size || 0;
+      }
+      if (doomed.length === 0) {
+        return;
+      }
+      const writable = db.transaction("entries", "readwrite").objectStore("entries");
+      await Promise.all(doomed.map((key) => idbRequest(writable.delete(key))));
+      log("Evicted cache entries", doomed.length);
+    } catch (error) {
+      log("Cache eviction failed", error);
+    }
+  }
+
+  function deleteCacheDb() {
+    if (typeof indexedDB === "undefined") {
+      return Promise.resolve(false);
+    }
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.deleteDatabase(CONFIG.CACHE.dbName);
+      request.onsuccess = () => resolve(true);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error("the cache is still open in another tab"));
+    });
+  }
+
+  // Deletes the whole database rather than opening it, so stored entries are
+  // wiped even when the cache is switched off. Resolves false without IndexedDB.
+  async function clearCache() {
+    const db = await state.cacheDbPromise;
+    db?.close();
+    state.cacheDbPromise = null;
+    for (const fileId of Array.from(state.fileIdToResolvedSrc.keys())) {
+      invalidateResolvedFile(fileId);
+    }
+    state.fileIdToError.clear();
+    state.fileIdRetryAfterMs.clear();
+    state.fileIdFailureCount.clear();
+    state.fileIdToCacheKey.clear();
+    return deleteCacheDb();
+  }
+
+  function fileCacheKey(fileId, conversationId) {
+    const headers = resolveAuthHeadersForConversation(conversationId);
+    return `file:${headers["OpenAI-Organization"] || "-"}:${headers["OpenAI-Project"] || "-"}:${fileId}`;
+  }
+
+  async function readCachedFile(fileId, conversationId) {
+    const key = fileCacheKey(fileId, conversationId);
+    state.fileIdToCacheKey.set(fileId, key);
+    const entry = await cacheGet(key);
+    const value = entry?.value;
+    if (!value) {
+      return null;
+    }
+    const now = Date.now();
+    if (value.signedUrl && value.expiresAt - now > CONFIG.API.signedUrlRefreshLeadMs) {
+      return value;
+    }
+    if (value.error && value.retryAfterMs > now) {
+      return value;
+    }
+    cacheDelete(key);
+    return null;
+  }
+
+  function writeCachedFile(fileId, conversationId, value) {
+    const key = fileCacheKey(fileId, conversationId);
+    state.fileIdToCacheKey.set(fileId, key);
+    cachePut(key, "file", value);
+  }
+
+  function serializableContentItems(contentItems) {
+    // Huge inline payloads are left out; they come back with the live items payload.
+    return contentItems.filter((content) => {
+      try {
+        return JSON.stringify(content).length <= CONFIG.CACHE.maxInlineChars;
+      } catch (_error) {
+        return false;
+      }
+    });
+  }
+
+  function persistConversationIndex(conversationId) {
+    if (!conversationId || conversationId === "unknown") {
+      return;
+    }
+    const previous = state.conversationPersistTimers.get(conversationId);
+    if (previous) {
+      clearTimeout(previous);
+    }
+    state.conversationPersistTimers.set(
+      conversationId,
+      setTimeout(() => {
+        state.conversationPersistTimers.delete(conversationId);
+        const messages = state.convIdToMessages.get(conversationId) || [];
+        const headers = resolveAuthHeadersForConversation(conversationId);
+        cachePut(`conv:${conversationId}`, "conversation", {
+          conversationId,
+          openaiOrganization: headers["OpenAI-Organization"] || null,
+          openaiProject: headers["OpenAI-Project"] || null,
+          messages: messages.map((msg) => ({
+            messageId: msg.messageId,
+            role: msg.role,
+            responseId: msg.responseId,
+            contentItems: serializableContentItems(msg.contentItems),
+          })),
+          candidates: collectCandidatesFromMessages(messages).map((candidate) => ({
+            sourceKey: sourceKey(
+              candidate.message.messageId,
+              candidate.sourceType,
+              candidate.sourceValue
+            ),
+            messageId: candidate.message.messageId,
+            sourceType: candidate.sourceType,
+            sourceValue: candidate.sourceValue,
+            fileId: candidate.fileId || null,
+          })),
+        });
+      }, 1_000)
+    );
+  }
+
+  async function hydrateConversationFromCache() {
+    const conversationId = extractConversationIdFromLocation(window.location.href);
+    if (!conversationId || state.convIdToMessages.has(conversationId)) {
+      return;
+    }
+    const entry = await cacheGet(`conv:${conversationId}`);
+    const cached = entry?.value;
+    if (!cached || state.convIdToMessages.has(conversationId)) {
+      return;
+    }
+    if (!state.convIdToRequestHeaders.has(conversationId)) {
+      state.convIdToRequestHeaders.set(conversationId, {
+        authorization: null,
+        openaiOrganization: cached.openaiOrganization,
+        openaiProject: cached.openaiProject,
+      });
+    }
+    state.convIdToMessages.set(
+      conversationId,
+      cached.messages.map((msg) => ({
+        ...msg,
+        containerElement: null,
+        conversationId,
+      }))
+    );
+    log("Hydrated conversation from cache", conversationId, cached.messages.length);
+    enqueueRoot(document);
+  }
+
+  function rememberImageDimensions(fileId, width, height) {
+    if (!fileId || !width || !height) {
+      return;
+    }
+    const previous = state.fileIdToMeta.get(fileId) || { filename: "", mimeType: "", bytes: null };
+    state.fileIdToMeta.set(fileId, { ...previous, width, height });
+  }
+
+  async function resolveFileImage(fileId, conversationId, options = {}) {
+    if (!fileId) {
+      throw new Error("Missing file_id");
+    }
+
+    if (state.fileIdToResolvedSrc.has(fileId)) {
+      if (isResolvedFileFresh(fileId)) {
+        return state.fileIdToResolvedSrc.get(fileId);
+      }
+      invalidateResolvedFile(fileId);
+    }
+
+    if (state.fileIdToObjectUrl.has(fileId)) {
+      return state.fileIdToObjectUrl.get(fileId);
+    }
+
+    const now = Date.now();
+    const retryAfter = state.fileIdRetryAfterMs.get(fileId) || 0;
+    if (retryAfter > now) {
+      throw new Error(
+        `Temporarily cooling down retries for ${fileId} until ${new Date(retryAfter).toISOString()}`
+      );
+    }
+
+    if (state.fileIdInFlight.has(fileId)) {
+      const queued = state.resolutionQueue.find((task) => task.fileId === fileId);
+      if (queued && !queued.anchor && options.anchor) {
+        queued.anchor = options.anchor;
+      }
+      return state.fileIdInFlight.get(fileId);
+    }
+
+    const request = (async () => {
+      const cached = await readCachedFile(fileId, conversationId);
+      if (cached?.signedUrl) {
+        state.fileIdToResolvedSrc.set(fileId, cached.signedUrl);
+        state.fileIdToExpiresAtMs.set(fileId, cached.expiresAt);
+        if (cached.meta) {
+          state.fileIdToMeta.set(fileId, { ...state.fileIdToMeta.get(fileId), ...cached.meta });
+        }
+        scheduleSignedUrlRefresh(fileId, conversationId);
+        return cached.signedUrl;
+      }
+      if (cached?.error) {
+        state.fileIdToError.set(fileId, cached.error);
+        state.fileIdRetryAfterMs.set(fileId, cached.retryAfterMs);
+        throw new Error(
+          `Temporarily cooling down retries for ${fileId} until ${new Date(cached.retryAfterMs).toISOString()}`
+        );
+      }
+      return new Promise((resolve, reject) => {
+        state.resolutionQueue.push({
+          fileId,
+          conversationId,
+          anchor: options.anchor || null,
+          attempt: 0,
+          notBefore: 0,
+          order: state.resolutionOrder++,
+          resolve,
+          reject,
+        });
+        pumpResolutionQueue();
+      });
+    })();
+    state.fileIdInFlight.set(fileId, request);
+    try {
+      return await request;
+    } finally {
+      state.fileIdInFlight.delete(fileId);
+    }
+  }
+
+  function viewportDistance(el) {
+    if (!(el instanceof Element) || !el.isConnected) {
+      return Number.POSITIVE_INFINITY;
+    }
+    const rect = el.getBoundingClientRect();
+    if (rect.bottom < 0) {
+      return -rect.bottom;
+    }
+    if (rect.top > window.innerHeight) {
+      return rect.top - window.innerHeight;
+    }
+    return 0;
+  }
+
+  function takeNextResolutionTask(now) {
+    let best = null;
+    let bestDistance = Number.POSITIVE_INFINITY;
+    for (const task of state.resolutionQueue) {
+      if (task.notBefore > now) {
+        continue;
+      }
+      const distance = viewportDistance(task.anchor);
+      if (
+        !best ||
+        distance < bestDistance ||
+        (distance === bestDistance && task.order < best.order)
+      ) {
+        best = task;
+        bestDistance = distance;
+      }
+    }
+    if (best) {
+      state.resolutionQueue.splice(state.resolutionQueue.indexOf(best), 1);
+    }
+    return best;
+  }
+
+  function pumpResolutionQueue() {
+    if (state.resolutionTimer !== null) {
+      clearTimeout(state.resolutionTimer);
+      state.resolutionTimer = null;
+    }
+    const now = Date.now();
+    if (state.rateLimitedUntilMs > now) {
+      state.resolutionTimer = setTimeout(pumpResolutionQueue, state.rateLimitedUntilMs - now);
+      return;
+    }
+    while (state.activeResolutions < CONFIG.RESOLUTION.maxConcurrentRequests) {
+      const task = takeNextResolutionTask(now);
+      if (!task) {
+        break;
+      }
+      state.activeResolutions += 1;
+      runResolutionTask(task).finally(() => {
+        state.activeResolutions -= 1;
+        pumpResolutionQueue();
+      });
+    }
+    const waiting = state.resolutionQueue.filter((task) => task.notBefore > now);
+    if (waiting.length > 0 && state.resolutionTimer === null) {
+      const nextAt = Math.min(...waiting.map((task) => task.notBefore));
+      state.resolutionTimer = setTimeout(pumpResolutionQueue, Math.max(nextAt - now, 0));
+    }
+  }
+
+  function backoffDelayMs(attempt) {
+    const ceiling = Math.min(
+      CONFIG.RESOLUTION.backoffMaxMs,
+      CONFIG.RESOLUTION.backoffBaseMs * 2 ** Math.max(attempt - 1, 0)
+    );
+    // "Equal jitter": keep at least half the delay, randomise the rest.
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  }
+
+  function parseRetryAfterMs(headerValue) {
+    if (!headerValue) {
+      return null;
+    }
+    const seconds = Number(headerValue);
+    if (Number.isFinite(seconds)) {
+      return Math.max(seconds, 0) * 1000;
+    }
+    const date = Date.parse(headerValue);
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+  }
+
+  async function runResolutionTask(task) {
+    try {
+      task.resolve(await fetchDownloadLink(task.fileId, task.conversationId));
+      return;
+    } catch (error) {
+      const now = Date.now();
+      let waitMs = null;
+      if (error.status === 429) {
+        waitMs = parseRetryAfterMs(error.retryAfter) ?? backoffDelayMs(task.attempt + 1);
+        state.rateLimitedUntilMs = Math.max(state.rateLimitedUntilMs, now + waitMs);
+        log("Download link requests rate limited for", waitMs, "ms");
+      }
+      const retryable = !error.status || error.status === 429 || error.status >= 500;
+      task.attempt += 1;
+      if (retryable && task.attempt <= CONFIG.RESOLUTION.maxAutoRetries) {
+        task.notBefore = now + (waitMs ?? backoffDelayMs(task.attempt));
+        state.resolutionQueue.push(task);
+        log("Retrying download link", task.fileId, "attempt", task.attempt, "at", new Date(task.notBefore).toISOString());
+        return;
+      }
+
+      const failures = (state.fileIdFailureCount.get(task.fileId) || 0) + 1;
+      state.fileIdFailureCount.set(task.fileId, failures);
+      const err = new Error(`No download link endpoint succeeded for ${task.fileId}`);
+      const retryAfterMs = now + (waitMs ?? backoffDelayMs(failures));
+      state.fileIdToError.set(task.fileId, err.message);
+      state.fileIdRetryAfterMs.set(task.fileId, retryAfterMs);
+      writeCachedFile(task.fileId, task.conversationId, { error: err.message, retryAfterMs });
+      task.reject(err);
+    }
+  }
+
+  async function fetchDownloadLink(fileId, conversationId) {
+    const endpoint = safeFileEndpoint(
+      CONFIG.API.internalDownloadLinkTemplate,
+      fileId
+    );
+    const headers = resolveAuthHeadersForConversation(conversationId);
+
+    let signedUrl = null;
+    let expiresAt = null;
+    try {
+      const linkResponse = await fetch(endpoint, {
+        credentials: "omit",
+        headers,
+      });
+      if (!linkResponse.ok) {
+        const err = new Error(`Download link request failed with status ${linkResponse.status}`);
+        err.status = linkResponse.status;
+        err.retryAfter = linkResponse.headers?.get("retry-after") || null;
+        throw err;
+      }
+      const payload = await linkResponse.json();
+      if (!payload || typeof payload.url !== "string" || !/^https?:\/\//i.test(payload.url)) {
+        const err = new Error("Download link response missing a valid signed URL.");
+        err.status = linkResponse.status;
+        throw err;
+      }
+      signedUrl = payload.url;
+      expiresAt = resolveSignedUrlExpiry(payload, signedUrl);
+      rememberFileMeta(fileId, payload);
+    } catch (error) {
+      log("Download link fetch failed", endpoint, error);
+      throw error;
+    }
+
+    // Do not fetch the signed URL via JS fetch: platform CSP blocks connect-src
+    // to Azure blob hosts. Let the browser load it directly through <img src>.
+    state.fileIdToResolvedSrc.set(fileId, signedUrl);
+    state.fileIdToExpiresAtMs.set(fileId, expiresAt);
+    state.fileIdToError.delete(fileId);
+    state.fileIdRetryAfterMs.delete(fileId);
+    state.fileIdFailureCount.delete(fileId);
+    scheduleSignedUrlRefresh(fileId, conversationId);
+    writeCachedFile(fileId, conversationId, {
+      signedUrl,
+      expiresAt,
+      meta: state.fileIdToMeta.get(fileId) || null,
+    });
+    return signedUrl;
+  }
+
+  function ensureMessageMount(containerElement, messageId, allowGlobalFallback = true) {
+    const host = containerElement || (allowGlobalFallback ? ensureGlobalGallery() : null);
+    if (!host) {
+      return null;
+    }
+    let root = host.querySelector(
+      `[data-oci-root="${escapeAttrValue(messageId)}"]`
+    );
+    if (!root) {
+      root = document.createElement("div");
+      root.className = "oci-images";
+      root.setAttribute("data-oci-root", messageId);
+      host.appendChild(root);
+    }
+    return root;
+  }
+
+  function ensureCandidateSlot(mount, key) {
+    for (const child of mount.children) {
+      if (child.getAttribute("data-oci-slot") === key) {
+        return child;
+      }
+    }
+    const slot = document.createElement("div");
+    slot.className = "oci-slot";
+    slot.setAttribute("data-oci-slot", key);
+    mount.appendChild(slot);
+    return slot;
+  }
+
+  function candidateAspectRatio(candidate) {
+    const dims =
+      candidate.dimensions ||
+      (candidate.fileId ? state.fileIdToMeta.get(candidate.fileId) : null);
+    if (dims?.width > 0 && dims?.height > 0) {
+      return `${dims.width} / ${dims.height}`;
+    }
+    return CONFIG.UI.placeholderAspectRatio;
+  }
+
+  function appendPlaceholder(slot, candidate) {
+    const existing = slot.querySelector(".oci-placeholder");
+    if (existing) {
+      return existing;
+    }
+    const placeholder = document.createElement("div");
+    placeholder.className = "oci-placeholder";
+    if (isImageCandidate(candidate)) {
+      const box = document.createElement("div");
+      box.className = "oci-placeholder-box";
+      box.style.aspectRatio = candidateAspectRatio(candidate);
+      placeholder.appendChild(box);
+    }
+    if (CONFIG.UI.showCaption) {
+      const cap = document.createElement("div");
+      cap.className = "oci-caption";
+      cap.textContent = candidate.caption || candidate.sourceValue;
+      placeholder.appendChild(cap);
+    }
+    slot.appendChild(placeholder);
+    return placeholder;
+  }
+
+  function ensureLazyObserver() {
+    if (state.lazyObserver || typeof IntersectionObserver !== "function") {
+      return state.lazyObserver;
+    }
+    state.lazyObserver = new IntersectionObserver(
+      (entries) => {
+        for (const entry of entries) {
+          if (!entry.isIntersecting) {
+            continue;
+          }
+          const resolve = state.lazyWaiters.get(entry.target);
+          state.lazyWaiters.delete(entry.target);
+          state.lazyObserver.unobserve(entry.target);
+          resolve?.(true);
+        }
+      },
+      { rootMargin: CONFIG.OBSERVATION.lazyRootMargin }
+    );
+    for (const el of state.lazyWaiters.keys()) {
+      state.lazyObserver.observe(el);
+    }
+    return state.lazyObserver;
+  }
+
+  function resetLazyObserver() {
+    state.lazyObserver?.disconnect();
+    state.lazyObserver = null;
+    if (state.lazyWaiters.size > 0) {
+      ensureLazyObserver();
+    }
+  }
+
+  function waitForNearViewport(el) {
+    if (!CONFIG.OBSERVATION.lazyResolve || !ensureLazyObserver()) {
+      return Promise.resolve(true);
+    }
+    return new Promise((resolve) => {
+      state.lazyWaiters.get(el)?.(false);
+      state.lazyWaiters.set(el, resolve);
+      state.lazyObserver.observe(el);
+    });
+  }
+
+  function cancelLazyWait(el) {
+    const resolve = state.lazyWaiters.get(el);
+    if (!resolve) {
+      return;
+    }
+    state.lazyWaiters.delete(el);
+    state.lazyObserver?.unobserve(el);
+    resolve(false);
+  }
+
+  function ensureGlobalGallery() {
+    let box = document.querySelector("#oci-global-gallery");
+    if (!box) {
+      box = document.createElement("section");
+      box.id = "oci-global-gallery";
+      box.className = "oci-global-gallery";
+      const title = document.createElement("h3");
+      title.className = "oci-global-title";
+      title.textContent = "Conversation Images";
+      box.appendChild(title);
+      const main = document.querySelector("main");
+      if (main) {
+        main.prepend(box);
+      } else {
+        document.body.prepend(box);
+      }
+    }
+    return box;
+  }
+
+  function appendImageCard(mount, sourceKeyValue, src, caption, meta = {}) {
+    if (
+      mount.querySelector(`[data-oci-card="${escapeAttrValue(sourceKeyValue)}"]`)
+    ) {
+      return;
+    }
+    const card = document.createElement("div");
+    card.className = "oci-image-card";
+    card.setAttribute("data-oci-card", sourceKeyValue);
+    if (meta.role) {
+      card.setAttribute("data-oci-role", meta.role);
+    }
+    if (meta.responseId) {
+      card.setAttribute("data-oci-response-id", meta.responseId);
+    }
+    card.addEventListener("click", (event) => {
+      if (event.target instanceof Element && event.target.closest("button, a, input, summary, .oci-info")) {
+        return;
+      }
+      openLightboxForCard(card);
+    });
+
+    const img = document.createElement("img");
+    img.loading = "lazy";
+    img.decoding = "async";
+    if (meta.fileId) {
+      img.setAttribute("data-oci-file-id", meta.fileId);
+    }
+    if (meta.fileId) {
+      img.addEventListener("load", () => {
+        rememberImageDimensions(meta.fileId, img.naturalWidth, img.naturalHeight);
+      });
+    }
+    if (typeof meta.onError === "function") {
+      img.addEventListener("load", () => {
+        delete img.dataset.ociReloaded;
+      });
+      img.addEventListener("error", () => meta.onError(img));
+    }
+    img.src = src;
+    img.alt = meta.alt || caption || "Conversation image";
+    if (meta.actions?.length > 0) {
+      appendActionOverlay(card, img, meta.actions);
+    } else {
+      card.appendChild(img);
+    }
+
+    if (CONFIG.UI.showCaption) {
+      const cap = document.createElement("div");
+      cap.className = "oci-caption";
+      cap.textContent = caption || src;
+      card.appendChild(cap);
+    }
+
+    if (
+      meta.sourceType === "output_image_url" &&
+      screenshotKeysFor(getCurrentConversationMessages()).indexOf(sourceKeyValue) > 0
+    ) {
+      const compare = document.createElement("button");
+      compare.type = "button";
+      compare.className = "oci-retry";
+      compare.textContent = "Compare with previous";
+      compare.addEventListener("click", () => openCompareForKey(sourceKeyValue));
+      card.appendChild(compare);
+    }
+
+    if (meta.messageId && meta.responseId) {
+      const move = document.createElement("button");
+      move.type = "button";
+      move.className = "oci-retry";
+      move.textContent = "Move to…";
+      move.title = "Attach this message's images to a different block (or drag the card onto it)";
+      move.addEventListener("click", () => openMovePicker(card, meta.messageId));
+      card.appendChild(move);
+      enableCardDragging(card, meta.messageId);
+    }
+
+    if (meta.sourceType) {
+      appendImageInfo(card, img, meta);
+    }
+
+    mount.appendChild(card);
+  }
+
+  function describeComputerAction(action) {
+    const at = Number.isFinite(action.x) && Number.isFinite(action.y) ? ` (${action.x}, ${action.y})` : "";
+    switch (action.type) {
+      case "click":
+        return `${action.button && action.button !== "left" ? `${action.button} ` : ""}click${at}`;
+      case "double_click":
+        return `double click${at}`;
+      case "move":
+        return `move${at}`;
+      case "drag":
+        return `drag (${(action.path || []).length} points)`;
+      case "scroll":
+        return `scroll ${action.scroll_x || 0}, ${action.scroll_y || 0}${at}`;
+      case "type":
+        return `type "${String(action.text || "").slice(0, 60)}"`;
+      case "keypress":
+        return `keys ${(action.keys || []).join("+")}`;
+      default:
+        return action.type;
+    }
+  }
+
+  function appendActionOverlay(card, img, actions) {
+    const host = document.createElement("div");
+    host.className = "oci-overlay-host";
+    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    svg.classList.add("oci-action-overlay");
+    svg.setAttribute("preserveAspectRatio", "none");
+    svg.setAttribute("aria-hidden", "true");
+    host.append(img, svg);
+    card.appendChild(host);
+
+    const toggle = document.createElement("button");
+    toggle.type = "button";
+    toggle.className = "oci-retry";
+    toggle.title = `Taken from this screenshot: ${actions.map(describeComputerAction).join("; ")}`;
+    const setVisible = (visible) => {
+      svg.style.display = visible ? "" : "none";
+      toggle.textContent = visible ? "Hide next actions" : "Show next actions";
+      toggle.setAttribute("aria-pressed", String(visible));
+    };
+    toggle.addEventListener("click", () => setVisible(svg.style.display === "none"));
+    setVisible(CONFIG.UI.showActionOverlays);
+    card.appendChild(toggle);
+
+    const draw = () => {
+      if (img.naturalWidth > 0 && img.naturalHeight > 0) {
+        drawActionOverlay(svg, actions, img.naturalWidth, img.naturalHeight);
+      }
+    };
+    img.addEventListener("load", draw);
+    if (img.complete) {
+      draw();
+    }
+  }
+
+  function dragPath(action) {
+    return Array.isArray(action.path)
+      ? action.path.filter((point) => Number.isFinite(point?.x) && Number.isFinite(point?.y))
+      : [];
+  }
+
+  function drawActionOverlay(svg, actions, width, height) {
+    const ns = "http://www.w3.org/2000/svg";
+    const unit = Math.max(2, Math.round(Math.max(width, height) / 400));
+    // Presentation attributes rather than CSS so the SVG also renders when serialized.
+    const stroke = { stroke: "#ff2d55", fill: "none" };
+    const fill = { fill: "#ff2d55" };
+    const add = (parent, tag, attrs) => {
+      const el = document.createElementNS(ns, tag);
+      for (const [name, value] of Object.entries(attrs)) {
+        el.setAttribute(name, String(value));
+      }
+      parent.appendChild(el);
+      return el;
+    };
+    const label = (x, y, text) => {
+      const fontSize = unit * 7;
+      const clampedX = Math.max(0, Math.min(width - fontSize * 0.6 * text.length - unit * 4, x));
+      const clampedY = Math.max(fontSize + unit * 2, Math.min(height - unit * 2, y));
+      add(svg, "rect", {
+        x: clampedX,
+        y: clampedY - fontSize - unit,
+        width: fontSize * 0.6 * text.length + unit * 4,
+        height: fontSize + unit * 3,
+        rx: unit * 2,
+        fill: "rgba(255, 45, 85, 0.9)",
+      });
+      const el = add(svg, "text", {
+        x: clampedX + unit * 2,
+        y: clampedY,
+        "font-size": fontSize,
+        fill: "#fff",
+        "font-family": "ui-monospace, SFMono-Regular, Menlo, monospace",
+      });
+      el.textContent = text;
+    };
+    const arrow = (x1, y1, x2, y2) => {
+      add(svg, "line", { x1, y1, x2, y2, "stroke-width": unit, ...stroke });
+      const angle = Math.atan2(y2 - y1, x2 - x1);
+      const head = unit * 6;
+      const points = [-0.5, 0.5]
+        .map((spread) => `${x2 - head * Math.cos(angle + spread)},${y2 - head * Math.sin(angle + spread)}`)
+        .join(" ");
+      add(svg, "polygon", { points: `${x2},${y2} ${points}`, ...fill });
+    };
+
+    svg.innerHTML = "";
+    svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+    let lastPoint = { x: unit * 4, y: height - unit * 4 };
+    for (const action of actions) {
+      const hasPoint = Number.isFinite(action.x) && Number.isFinite(action.y);
+      if (hasPoint) {
+        lastPoint = { x: action.x, y: action.y };
+      }
+      if (["click", "double_click", "move"].includes(action.type) && hasPoint) {
+        const radius = unit * 8;
+        add(svg, "circle", { cx: action.x, cy: action.y, r: radius, "stroke-width": unit, ...stroke });
+        if (action.type === "double_click") {
+          add(svg, "circle", { cx: action.x, cy: action.y, r: radius * 1.5, "stroke-width": unit, ...stroke });
+        }
+        add(svg, "line", { x1: action.x - radius * 2, y1: action.y, x2: action.x + radius * 2, y2: action.y, "stroke-width": unit, ...stroke });
+        add(svg, "line", { x1: action.x, y1: action.y - radius * 2, x2: action.x, y2: action.y + radius * 2, "stroke-width": unit, ...stroke });
+        label(action.x + radius * 2, action.y - radius, describeComputerAction(action));
+      } else if (action.type === "drag" && dragPath(action).length >= 2) {
+        const path = dragPath(action);
+        add(svg, "polyline", {
+          points: path.map((point) => `${point.x},${point.y}`).join(" "),
+          "stroke-width": unit,
+          ...stroke,
+        });
+        add(svg, "circle", { cx: path[0].x, cy: path[0].y, r: unit * 3, ...fill });
+        const end = path[path.length - 1];
+        const beforeEnd = path[path.length - 2];
+        arrow(beforeEnd.x, beforeEnd.y, end.x, end.y);
+        lastPoint = end;
+        label(end.x + unit * 6, end.y, describeComputerAction(action));
+      } else if (action.type === "scroll" && hasPoint) {
+        const dx = Number(action.scroll_x) || 0;
+        const dy = Number(action.scroll_y) || 0;
+        const length = Math.hypot(dx, dy);
+        const size = Math.min(height / 4, Math.max(unit * 20, length / 4));
+        add(svg, "circle", { cx: action.x, cy: action.y, r: unit * 3, ...fill });
+        if (length > 0) {
+          arrow(action.x, action.y, action.x + (dx / length) * size, action.y + (dy / length) * size);
+        }
+        label(action.x + unit * 6, action.y - unit * 6, describeComputerAction(action));
+      } else {
+        label(lastPoint.x, lastPoint.y + unit * 12, describeComputerAction(action));
+      }
+    }
+  }
+
+  function appendImageInfo(card, img, meta) {
+    const info = document.createElement("details");
+    info.className = "oci-info";
+    const summary = document.createElement("summary");
+    summary.textContent = "Info";
+    const list = document.createElement("dl");
+    info.append(summary, list);
+    info.addEventListener("toggle", () => {
+      if (info.open) {
+        fillImageInfo(list, img, meta);
+      }
+    });
+    img.addEventListener("load", () => {
+      if (info.open) {
+        fillImageInfo(list, img, meta);
+      }
+    });
+    card.appendChild(info);
+  }
+
+  function describeImageSource(img, meta) {
+    const fileMeta = meta.fileId ? state.fileIdToMeta.get(meta.fileId) : null;
+    const blob = state.objectUrlToBlob.get(img.currentSrc || img.src);
+    let bytes = fileMeta?.bytes ?? meta.inlineInfo?.bytes ?? blob?.size ?? null;
+    if (!Number.isFinite(bytes)) {
+      const timing = performance.getEntriesByName?.(img.currentSrc || img.src)?.[0];
+      bytes = timing?.encodedBodySize || null;
+    }
+    let mimeType = fileMeta?.mimeType || meta.inlineInfo?.mime || blob?.type || "";
+    if (!mimeType) {
+      try {
+        mimeType = guessMimeFromFilename(new URL(img.src).pathname);
+      } catch (_error) {
+        mimeType = "";
+      }
+    }
+    const width = img.naturalWidth || fileMeta?.width || meta.inlineInfo?.width || null;
+    const height = img.naturalHeight || fileMeta?.height || meta.inlineInfo?.height || null;
+    return {
+      dimensions: width && height ? `${width}×${height}` : "",
+      size: formatBytes(bytes),
+      mimeType,
+    };
+  }
+
+  function fillImageInfo(list, img, meta) {
+    const source = describeImageSource(img, meta);
+    const rows = [
+      ["Dimensions", source.dimensions],
+      ["Size", source.size],
+      ["MIME type", source.mimeType],
+      ["file_id", meta.fileId, true],
+      ["URL", !meta.fileId && /^https?:\/\//i.test(img.src) ? img.src : "", true],
+      ["Message id", meta.messageId, true],
+      ["Response id", meta.responseId, true],
+      ["Role", meta.role],
+      ["Source", SOURCE_TYPE_LABELS[meta.sourceType] || meta.sourceType],
+      ["Detail", meta.detail],
+      ["Next action", (meta.actions || []).map(describeComputerAction).join("; ")],
+    ];
+    list.innerHTML = "";
+    for (const [label, value, copyable] of rows) {
+      const term = document.createElement("dt");
+      term.textContent = label;
+      const desc = document.createElement("dd");
+      const text = document.createElement("span");
+      text.textContent = value || "—";
+      desc.appendChild(text);
+      if (copyable && value) {
+        const copy = document.createElement("button");
+        copy.type = "button";
+        copy.className = "oci-retry";
+        copy.textContent = "Copy";
+        copy.addEventListener("click", async () => {
+          copy.textContent = (await copyText(value)) ? "Copied" : "Copy failed";
+          setTimeout(() => {
+            copy.textContent = "Copy";
+          }, 1_500);
+        });
+        desc.appendChild(copy);
+      }
+      list.append(term, desc);
+    }
+  }
+
+  async function copyText(value) {
+    try {
+      await navigator.clipboard.writeText(value);
+      return true;
+    } catch (_error) {
+      const field = document.createElement("textarea");
+      field.value = value;
+      field.style.position = "fixed";
+      field.style.opacity = "0";
+      document.body.appendChild(field);
+      field.select();
+      const copied = document.execCommand("copy");
+      field.remove();
+      return copied;
+    }
+  }
+
+  function guessMimeFromFilename(filename) {
+    const match = String(filename || "").toLowerCase().match(/\.([a-z0-9]+)$/);
+    return (match && FILE_EXTENSION_MIME_TYPES[match[1]]) || "";
+  }
+
+  function audioMimeFromFormat(format) {
+    const value = String(format || "").toLowerCase();
+    if (!value) {
+      return "";
+    }
+    if (value === "mp3") {
+      return "audio/mpeg";
+    }
+    return value.includes("/") ? value : `audio/${value}`;
+  }
+
+  function mediaKindForMime(mimeType) {
+    const mime = String(mimeType || "").toLowerCase();
+    if (mime === "application/pdf") {
+      return "pdf";
+    }
+    if (mime.startsWith("audio/")) {
+      return "audio";
+    }
+    if (mime.startsWith("image/")) {
+      return "image";
+    }
+    return "file";
+  }
+
+  function isImageCandidate(candidate) {
+    if (candidate.mediaKind === "file") {
+      return mediaKindForMime(candidateAttachmentMeta(candidate).mimeType) === "image";
+    }
+    return !candidate.mediaKind || candidate.mediaKind === "image";
+  }
+
+  function candidateAttachmentMeta(candidate) {
+    const fromFile = candidate.fileId ? state.fileIdToMeta.get(candidate.fileId) : null;
+    const attachment = candidate.attachment || {};
+    return {
+      filename: attachment.filename || fromFile?.filename || candidate.fileId || "",
+      mimeType: attachment.mimeType || fromFile?.mimeType || "",
+      bytes: Number.isFinite(attachment.bytes) ? attachment.bytes : fromFile?.bytes ?? null,
+    };
+  }
+
+  function applyResolvedSrc(el, src) {
+    if (el instanceof HTMLObjectElement) {
+      el.data = src;
+    } else if (el instanceof HTMLAnchorElement) {
+      el.href = src;
+    } else {
+      el.src = src;
+    }
+  }
+
+  function appendFileCard(mount, sourceKeyValue, src, candidate) {
+    if (
+      mount.querySelector(`[data-oci-card="${escapeAttrValue(sourceKeyValue)}"]`)
+    ) {
+      return;
+    }
+    const meta = candidateAttachmentMeta(candidate);
+    const kind = candidate.mediaKind === "file" ? mediaKindForMime(meta.mimeType) : candidate.mediaKind;
+    const card = document.createElement("div");
+    card.className = "oci-file-card";
+    card.setAttribute("data-oci-card", sourceKeyValue);
+
+    const header = document.createElement("div");
+    header.className = "oci-file-header";
+    const name = document.createElement("strong");
+    name.textContent = meta.filename || candidate.caption || "Attachment";
+    const details = document.createElement("span");
+    details.className = "oci-file-details";
+    details.textContent = [meta.mimeType || "unknown type", formatBytes(meta.bytes)]
+      .filter(Boolean)
+      .join(" · ");
+    const download = document.createElement("a");
+    download.className = "oci-retry";
+    download.textContent = "Download";
+    download.href = src;
+    download.target = "_blank";
+    download.rel = "noopener noreferrer";
+    download.download = meta.filename || "";
+    header.append(name, details, download);
+    card.appendChild(header);
+
+    let player = null;
+    if (kind === "audio") {
+      player = document.createElement("audio");
+      player.controls = true;
+      player.preload = "metadata";
+      player.src = src;
+      card.appendChild(player);
+      if (candidate.caption && candidate.caption !== name.textContent) {
+        const cap = document.createElement("div");
+        cap.className = "oci-caption";
+        cap.textContent = candidate.caption;
+        card.appendChild(cap);
+      }
+    } else if (kind === "pdf") {
+      const toggle = document.createElement("button");
+      toggle.type = "button";
+      toggle.className = "oci-retry";
+      toggle.textContent = "Preview PDF";
+      toggle.addEventListener("click", () => {
+        let viewer = card.querySelector("object");
+        if (viewer) {
+          viewer.remove();
+          toggle.textContent = "Preview PDF";
+          return;
+        }
+        viewer = document.createElement("object");
+        viewer.type = "application/pdf";
+        viewer.data = `${download.href}#page=1&view=FitH`;
+        if (candidate.fileId) {
+          viewer.setAttribute("data-oci-file-id", candidate.fileId);
+        }
+        const fallback = document.createElement("div");
+        fallback.className = "oci-note";
+        fallback.textContent = "The browser cannot display this PDF inline; use Download instead.";
+        viewer.appendChild(fallback);
+        card.appendChild(viewer);
+        toggle.textContent = "Hide preview";
+      });
+      header.insertBefore(toggle, download);
+    }
+
+    if (candidate.fileId) {
+      download.setAttribute("data-oci-file-id", candidate.fileId);
+      player?.setAttribute("data-oci-file-id", candidate.fileId);
+    }
+    mount.appendChild(card);
+  }
+
+  function appendErrorBadge(mount, sourceKeyValue, label, onRetry) {
+    let box = mount.querySelector(
+      `[data-oci-error="${escapeAttrValue(sourceKeyValue)}"]`
+    );
+    if (!box) {
+      box = document.createElement("div");
+      box.className = "oci-error";
+      box.setAttribute("data-oci-error", sourceKeyValue);
+      mount.appendChild(box);
+    } else {
+      box.innerHTML = "";
+    }
+
+    const text = document.createElement("span");
+    text.textContent = label;
+    box.appendChild(text);
+
+    const retry = document.createElement("button");
+    retry.type = "button";
+    retry.className = "oci-retry";
+    retry.textContent = "Retry";
+    retry.addEventListener("click", onRetry);
+    box.appendChild(retry);
+  }
+
+  function appendNote(mount, sourceKeyValue, noteText) {
+    if (
+      mount.querySelector(`[data-oci-note="${escapeAttrValue(sourceKeyValue)}"]`)
+    ) {
+      return;
+    }
+    const note = document.createElement("div");
+    note.className = "oci-note";
+    note.setAttribute("data-oci-note", sourceKeyValue);
+    note.textContent = noteText;
+    mount.appendChild(note);
+  }
+
+  function collectLightboxEntries() {
+    const entries = [];
+    const seenCards = new Set();
+    const candidates = collectCandidatesFromMessages(getCurrentConversationMessages());
+    for (const candidate of candidates) {
+      const key = sourceKey(
+        candidate.message.messageId,
+        candidate.sourceType,
+        candidate.sourceValue
+      );
+      const card = document.querySelector(`[data-oci-card="${escapeAttrValue(key)}"]`);
+      if (!card || seenCards.has(card)) {
+        continue;
+      }
+      seenCards.add(card);
+      entries.push(card);
+    }
+    for (const card of document.querySelectorAll(".oci-image-card")) {
+      if (!seenCards.has(card)) {
+        entries.push(card);
+      }
+    }
+    return entries
+      .map((card) => {
+        const img = card.querySelector("img");
+        if (!img) {
+          return null;
+        }
+        return {
+          card,
+          img,
+          caption: card.querySelector(".oci-caption")?.textContent || img.alt || "",
+          role: card.getAttribute("data-oci-role") || "",
+          responseId: card.getAttribute("data-oci-response-id") || "",
+        };
+      })
+      .filter(Boolean);
+  }
+
+  function createModalViewer({ id, className, label, unit, onStep, onClose }) {
+    const root = document.createElement("div");
+    root.id = id;
+    root.className = className;
+    root.tabIndex = -1;
+    root.hidden = true;
+    root.setAttribute("role", "dialog");
+    root.setAttribute("aria-modal", "true");
+    root.setAttribute("aria-label", label);
+
+    const bar = document.createElement("div");
+    bar.className = "oci-lightbox-bar";
+    const addButton = (text, title, onClick) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.textContent = text;
+      button.title = title;
+      button.addEventListener("click", onClick);
+      bar.appendChild(button);
+      return button;
+    };
+    const prev = addButton("‹ Prev", `Previous ${unit} (←)`, () => onStep(-1));
+    const counter = document.createElement("span");
+    counter.className = "oci-lightbox-counter";
+    bar.appendChild(counter);
+    const next = addButton("Next ›", `Next ${unit} (→)`, () => onStep(1));
+    const spacer = document.createElement("span");
+    spacer.className = "oci-lightbox-spacer";
+    bar.appendChild(spacer);
+
+    const onKeydown = (event) => {
+      if (event.key === "Escape") {
+        onClose();
+      } else if (event.key === "ArrowLeft") {
+        onStep(-1);
+      } else if (event.key === "ArrowRight") {
+        onStep(1);
+      } else {
+        return;
+      }
+      event.preventDefault();
+      event.stopPropagation();
+    };
+
+    return { root, bar, addButton, prev, next, counter, onKeydown, returnFocus: null, previousOverflow: "" };
+  }
+
+  function showModalViewer(view) {
+    if (!view.root.hidden) {
+      return;
+    }
+    view.returnFocus = document.activeElement;
+    view.previousOverflow = document.documentElement.style.overflow;
+    document.documentElement.style.overflow = "hidden";
+    document.addEventListener("keydown", view.onKeydown, true);
+    view.root.hidden = false;
+  }
+
+  function hideModalViewer(view) {
+    view.root.hidden = true;
+    document.removeEventListener("keydown", view.onKeydown, true);
+    document.documentElement.style.overflow = view.previousOverflow;
+    if (view.returnFocus instanceof HTMLElement) {
+      view.returnFocus.focus({ preventScroll: true });
+    }
+    view.returnFocus = null;
+  }
+
+  function ensureLightbox() {
+    if (state.lightbox) {
+      return state.lightbox;
+    }
+    const viewer = createModalViewer({
+      id: "oci-lightbox",
+      className: "oci-lightbox",
+      label: "Image viewer",
+      unit: "image",
+      onStep: stepLightbox,
+      onClose: closeLightbox,
+    });
+    const { root, bar, addButton } = viewer;
+    const sizeToggle = addButton("Actual size", "Toggle fit / actual size", () => {
+      if (state.lightbox.mode === "fit") {
+        setLightboxActualSize();
+      } else {
+        fitLightboxImage();
+      }
+    });
+    addButton("Close", "Close (Esc)", () => closeLightbox());
+
+    const stage = document.createElement("div");
+    stage.className = "oci-lightbox-stage";
+    const img = document.createElement("img");
+    img.alt = "";
+    img.draggable = false;
+    stage.appendChild(img);
+
+    const meta = document.createElement("div");
+    meta.className = "oci-lightbox-meta";
+
+    root.append(bar, stage, meta);
+    document.body.appendChild(root);
+
+    state.lightbox = {
+      ...viewer,
+      stage,
+      img,
+      meta,
+      sizeToggle,
+      entries: [],
+      index: 0,
+      scale: 1,
+      tx: 0,
+      ty: 0,
+      mode: "fit",
+      pointers: new Map(),
+      pinch: null,
+      dragMoved: false,
+    };
+
+    img.addEventListener("load", () => fitLightboxImage());
+    stage.addEventListener("wheel", onLightboxWheel, { passive: false });
+    stage.addEventListener("pointerdown", onLightboxPointerDown);
+    stage.addEventListener("pointermove", onLightboxPointerMove);
+    stage.addEventListener("pointerup", onLightboxPointerUp);
+    stage.addEventListener("pointercancel", onLightboxPointerUp);
+    stage.addEventListener("dblclick", (event) => {
+      if (state.lightbox.mode === "fit") {
+        setLightboxActualSize(lightboxPointFromEvent(event));
+      } else {
+        fitLightboxImage();
+      }
+    });
+    stage.addEventListener("click", (event) => {
+      if (event.target === stage && !state.lightbox.dragMoved) {
+        closeLightbox();
+      }
+    });
+    window.addEventListener("resize", () => {
+      if (!root.hidden && state.lightbox.mode === "fit") {
+        fitLightboxImage();
+      }
+    });
+    return state.lightbox;
+  }
+
+  function openLightboxForCard(card) {
+    const entries = collectLightboxEntries();
+    const index = entries.findIndex((entry) => entry.card === card);
+    if (index < 0) {
+      return;
+    }
+    const lb = ensureLightbox();
+    lb.entries = entries;
+    showModalViewer(lb);
+    showLightboxEntry(index);
+    lb.root.focus({ preventScroll: true });
+  }
+
+  function showLightboxEntry(index) {
+    const lb = state.lightbox;
+    if (!lb || lb.entries.length === 0) {
+      return;
+    }
+    lb.index = Math.max(0, Math.min(lb.entries.length - 1, index));
+    const entry = lb.entries[lb.index];
+    lb.pointers.clear();
+    lb.pinch = null;
+    lb.mode = "fit";
+    lb.img.style.visibility = "hidden";
+    lb.img.alt = entry.caption;
+    const fileId = entry.img.getAttribute("data-oci-file-id");
+    if (fileId) {
+      lb.img.setAttribute("data-oci-file-id", fileId);
+    } else {
+      lb.img.removeAttribute("data-oci-file-id");
+    }
+    lb.img.src = entry.img.currentSrc || entry.img.src;
+    if (lb.img.complete && lb.img.naturalWidth > 0) {
+      fitLightboxImage();
+    }
+
+    lb.counter.textContent = `${lb.index + 1} / ${lb.entries.length}`;
+    lb.prev.disabled = lb.index === 0;
+    lb.next.disabled = lb.index === lb.entries.length - 1;
+
+    lb.meta.innerHTML = "";
+    const parts = [
+      entry.caption,
+      entry.role ? `Role: ${entry.role}` : "",
+      entry.responseId ? `Response: ${entry.responseId}` : "",
+    ].filter(Boolean);
+    for (const part of parts) {
+      const span = document.createElement("span");
+      span.textContent = part;
+      lb.meta.appendChild(span);
+    }
+  }
+
+  function stepLightbox(delta) {
+    const lb = state.lightbox;
+    if (!lb) {
+      return;
+    }
+    const nextIndex = lb.index + delta;
+    if (nextIndex < 0 || nextIndex >= lb.entries.length) {
+      return;
+    }
+    showLightboxEntry(nextIndex);
+  }
+
+  function closeLightbox() {
+    const lb = state.lightbox;
+    if (!lb || lb.root.hidden) {
+      return;
+    }
+    hideModalViewer(lb);
+    lb.img.removeAttribute("src");
+    lb.img.removeAttribute("data-oci-file-id");
+    lb.entries = [];
+  }
+
+  function applyLightboxTransform() {
+    const lb = state.lightbox;
+    lb.img.style.transform = `translate(${lb.tx}px, ${lb.ty}px) scale(${lb.scale})`;
+    lb.img.style.visibility = "visible";
+    lb.sizeToggle.textContent = lb.mode === "fit" ? "Actual size" : "Fit";
+  }
+
+  function fitLightboxImage() {
+    const lb = state.lightbox;
+    const naturalWidth = lb.img.naturalWidth;
+    const naturalHeight = lb.img.naturalHeight;
+    if (!naturalWidth || !naturalHeight) {
+      return;
+    }
+    const stageWidth = lb.stage.clientWidth;
+    const stageHeight = lb.stage.clientHeight;
+    lb.scale = Math.min(stageWidth / naturalWidth, stageHeight / naturalHeight, 1);
+    lb.tx = (stageWidth - naturalWidth * lb.scale) / 2;
+    lb.ty = (stageHeight - naturalHeight * lb.scale) / 2;
+    lb.mode = "fit";
+    applyLightboxTransform();
+  }
+
+  function setLightboxActualSize(focusPoint) {
+    const lb = state.lightbox;
+    const point = focusPoint || {
+      x: lb.stage.clientWidth / 2,
+      y: lb.stage.clientHeight / 2,
+    };
+    zoomLightboxAt(point, 1 / lb.scale);
+    lb.mode = "actual";
+    applyLightboxTransform();
+  }
+
+  function zoomLightboxAt(point, factor) {
+    const lb = state.lightbox;
+    const nextScale = Math.max(
+      0.05,
+      Math.min(CONFIG.UI.lightboxMaxZoom, lb.scale * factor)
+    );
+    const ratio = nextScale / lb.scale;
+    lb.tx = point.x - (point.x - lb.tx) * ratio;
+    lb.ty = point.y - (point.y - lb.ty) * ratio;
+    lb.scale = nextScale;
+    lb.mode = "zoom";
+    applyLightboxTransform();
+  }
+
+  function lightboxPointFromEvent(event) {
+    const rect = state.lightbox.stage.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  }
+
+  function onLightboxWheel(event) {
+    event.preventDefault();
+    const unit = event.deltaMode === 1 ? 16 : 1;
+    zoomLightboxAt(
+      lightboxPointFromEvent(event),
+      Math.exp(-event.deltaY * unit * 0.0015)
+    );
+  }
+
+  function onLightboxPointerDown(event) {
+    const lb = state.lightbox;
+    if (event.button !== 0 && event.pointerType === "mouse") {
+      return;
+    }
+    lb.stage.setPointerCapture(event.pointerId);
+    lb.pointers.set(event.pointerId, lightboxPointFromEvent(event));
+    if (lb.pointers.size === 1) {
+      lb.dragMoved = false;
+    }
+    lb.stage.classList.add("oci-dragging");
+    if (lb.pointers.size === 2) {
+      const [a, b] = Array.from(lb.pointers.values());
+      lb.pinch = { distance: Math.hypot(a.x - b.x, a.y - b.y) };
+    }
+  }
+
+  function onLightboxPointerMove(event) {
+    const lb = state.lightbox;
+    const previous = lb.pointers.get(event.pointerId);
+    if (!previous) {
+      return;
+    }
+    const point = lightboxPointFromEvent(event);
+    lb.pointers.set(event.pointerId, point);
+    if (Math.abs(point.x - previous.x) + Math.abs(point.y - previous.y) > 2) {
+      lb.dragMoved = true;
+    }
+
+    if (lb.pointers.size >= 2 && lb.pinch) {
+      const [a, b] = Array.from(lb.pointers.values());
+      const distance = Math.hypot(a.x - b.x, a.y - b.y);
+      if (lb.pinch.distance > 0 && distance > 0) {
+        const midpoint = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+        zoomLightboxAt(midpoint, distance / lb.pinch.distance);
+      }
+      lb.pinch.distance = distance;
+      return;
+    }
+
+    lb.tx += point.x - previous.x;
+    lb.ty += point.y - previous.y;
+    if (lb.mode === "fit") {
+      lb.mode = "zoom";
+    }
+    applyLightboxTransform();
+  }
+
+  function onLightboxPointerUp(event) {
+    const lb = state.lightbox;
+    lb.pointers.delete(event.pointerId);
+    if (lb.pointers.size < 2) {
+      lb.pinch = null;
+    }
+    if (lb.pointers.size === 0) {
+      lb.stage.classList.remove("oci-dragging");
+    }
+  }
+
+  function collectScreenshotCandidates(messages) {
+    return collectCandidatesFromMessages(messages).filter(
+      (candidate) => candidate.sourceType === "output_image_url"
+    );
+  }
+
+  function screenshotKeysFor(messages) {
+    let keys = state.screenshotKeysByMessages.get(messages);
+    if (!keys) {
+      keys = collectScreenshotCandidates(messages).map((candidate) =>
+        sourceKey(candidate.message.messageId, candidate.sourceType, candidate.sourceValue)
+      );
+      state.screenshotKeysByMessages.set(messages, keys);
+    }
+    return keys;
+  }
+
+  function ensureCompareView() {
+    if (state.compare) {
+      return state.compare;
+    }
+    const viewer = createModalViewer({
+      id: "oci-compare",
+      className: "oci-lightbox oci-compare",
+      label: "Screenshot comparison",
+      unit: "step",
+      onStep: stepCompare,
+      onClose: closeCompareView,
+    });
+    const { root, bar, addButton } = viewer;
+    const modeButtons = {
+      side: addButton("Side by side", "Show both screenshots next to each other", () => setCompareMode("side")),
+      swipe: addButton("Swipe", "Drag the slider to reveal the newer screenshot", () => setCompareMode("swipe")),
+      difference: addButton("Difference", "Highlight pixels that changed between the screenshots", () => setCompareMode("difference")),
+    };
+    addButton("Close", "Close (Esc)", () => closeCompareView());
+
+    const stage = document.createElement("div");
+    stage.className = "oci-compare-stage";
+    const before = document.createElement("img");
+    before.className = "oci-compare-before";
+    before.alt = "Previous screenshot";
+    before.draggable = false;
+    const after = document.createElement("img");
+    after.className = "oci-compare-after";
+    after.alt = "Screenshot";
+    after.draggable = false;
+    const frame = document.createElement("div");
+    frame.className = "oci-compare-frame";
+    frame.append(before, after);
+    const slider = document.createElement("input");
+    slider.type = "range";
+    slider.min = "0";
+    slider.max = "100";
+    slider.value = "50";
+    slider.className = "oci-compare-slider";
+    slider.setAttribute("aria-label", "Swipe position");
+    slider.addEventListener("input", () => {
+      frame.style.setProperty("--oci-swipe", `${slider.value}%`);
+    });
+    stage.append(frame, slider);
+
+    const meta = document.createElement("div");
+    meta.className = "oci-lightbox-meta";
+
+    root.append(bar, stage, meta);
+    document.body.appendChild(root);
+
+    state.compare = {
+      ...viewer,
+      stage,
+      frame,
+      before,
+      after,
+      slider,
+      meta,
+      modeButtons,
+      screenshots: [],
+      index: 1,
+      mode: "side",
+    };
+    setCompareMode("side");
+    return state.compare;
+  }
+
+  function openCompareForKey(key) {
+    const screenshots = collectScreenshotCandidates(getCurrentConversationMessages());
+    const index = screenshots.findIndex(
+      (candidate) =>
+        sourceKey(candidate.message.messageId, candidate.sourceType, candidate.sourceValue) === key
+    );
+    if (index < 1) {
+      return;
+    }
+    const view = ensureCompareView();
+    view.screenshots = screenshots;
+    showModalViewer(view);
+    showComparePair(index);
+    view.root.focus({ preventScroll: true });
+  }
+
+  async function showComparePair(index) {
+    const view = state.compare;
+    if (!view || view.screenshots.length < 2) {
+      return;
+    }
+    view.index = Math.max(1, Math.min(view.screenshots.length - 1, index));
+    const pairIndex = view.index;
+    const older = view.screenshots[pairIndex - 1];
+    const newer = view.screenshots[pairIndex];
+    view.counter.textContent = `Step ${pairIndex} → ${pairIndex + 1} of ${view.screenshots.length}`;
+    view.prev.disabled = pairIndex <= 1;
+    view.next.disabled = pairIndex >= view.screenshots.length - 1;
+    view.meta.innerHTML = "";
+    for (const part of [older.caption, newer.caption, newer.message.responseId ? `Response: ${newer.message.responseId}` : ""]) {
+      if (part) {
+        const span = document.createElement("span");
+        span.textContent = part;
+        view.meta.appendChild(span);
+      }
+    }
+    try {
+      const [beforeSrc, afterSrc] = await Promise.all([older.resolver({}), newer.resolver({})]);
+      if (view.index !== pairIndex || view.root.hidden) {
+        return;
+      }
+      view.before.src = beforeSrc;
+      view.after.src = afterSrc;
+    } catch (error) {
+      log("Loading screenshots for comparison failed", error);
+      const span = document.createElement("span");
+      span.textContent = `Could not load screenshots: ${error.message}`;
+      view.meta.appendChild(span);
+    }
+  }
+
+  function setCompareMode(mode) {
+    const view = state.compare;
+    view.mode = mode;
+    view.frame.setAttribute("data-oci-mode", mode);
+    view.slider.hidden = mode !== "swipe";
+    for (const [name, button] of Object.entries(view.modeButtons)) {
+      button.setAttribute("aria-pressed", String(name === mode));
+    }
+  }
+
+  function stepCompare(delta) {
+    const view = state.compare;
+    if (!view) {
+      return;
+    }
+    const nextIndex = view.index + delta;
+    if (nextIndex < 1 || nextIndex >= view.screenshots.length) {
+      return;
+    }
+    showComparePair(nextIndex);
+  }
+
+  function closeCompareView() {
+    const view = state.compare;
+    if (!view || view.root.hidden) {
+      return;
+    }
+    hideModalViewer(view);
+    view.before.removeAttribute("src");
+    view.after.removeAttribute("src");
+    view.screenshots = [];
+  }
+
+  function activeCandidateExtractors() {
+    return [...CANDIDATE_EXTRACTORS, ...customCandidateExtractors()].filter((extractor) =>
+      extractor.enabled()
+    );
+  }
+
+  function collectCandidatesFromMessages(messages) {
+    const extractors = activeCandidateExtractors();
+    const candidates = [];
+    for (let i = 0; i < messages.length; i += 1) {
+      const msg = messages[i];
+      const context = { messages, index: i };
+      for (const content of msg.contentItems) {
+        for (const extractor of extractors) {
+          for (const match of extractor.match(content, context)) {
+            candidates.push(buildCandidate(extractor, msg, content, context, match));
+          }
+        }
+      }
+    }
+    return candidates;
+  }
+
+  function buildCandidate(extractor, msg, content, context, match) {
+    const resolve = extractor.resolve || resolveExtractedSource;
+    return {
+      message: msg,
+      sourceType: extractor.sourceType,
+      sourceValue: match.value,
+      caption: extractor.caption(match, content, context),
+      ...match.meta,
+      resolver: async (resolveContext) => resolve(match, msg, resolveContext),
+    };
+  }
+
+  function resolveExtractedSource(match, msg, context) {
+    const source = match.source;
+    if (source?.url) {
+      return source.url;
+    }
+    if (source?.inline) {
+      return resolveInlineData(source.inline);
+    }
+    if (source?.fileId) {
+      return resolveFileImage(source.fileId, msg.conversationId, context);
+    }
+    return null;
+  }
+
+  function inputImageSourceKind(content) {
+    if (content?.type !== "input_image") {
+      return null;
+    }
+    if (content.image_url && /^https?:\/\//i.test(content.image_url)) {
+      return "url";
+    }
+    if (CONFIG.FEATURE_FLAGS.renderBase64Images && parseDataImageUrl(content.image_url)) {
+      return "data";
+    }
+    if (CONFIG.FEATURE_FLAGS.renderInputImageByFileId && content.file_id) {
+      return "file";
+    }
+    return null;
+  }
+
+  function inlineImageMatch(owner, dataUrl, meta = {}) {
+    const parsed = parseDataImageUrl(dataUrl);
+    const info = describeInlineData(owner, parsed.base64, parsed.mime);
+    return { value: info.key, source: { inline: info }, meta: { ...meta, dimensions: info } };
+  }
+
+  function matchScreenshot(content) {
+    if (content?.type !== "output_image_url") {
+      return [];
+    }
+    const meta = { actions: content.actions || [] };
+    if (content.image_url && /^https?:\/\//i.test(content.image_url)) {
+      return [{ value: content.image_url, source: { url: content.image_url }, meta }];
+    }
+    if (CONFIG.FEATURE_FLAGS.renderBase64Images && parseDataImageUrl(content.image_url)) {
+      return [inlineImageMatch(content, content.image_url, meta)];
+    }
+    return [];
+  }
+
+  function matchFileAttachment(content) {
+    if (content?.type !== "input_file") {
+      return [];
+    }
+    const filename = content.filename || "";
+    const inline = parseDataUrl(content.file_data);
+    const mimeType = inline?.mime || guessMimeFromFilename(filename);
+    const meta = {
+      mediaKind: mediaKindForMime(mimeType),
+      attachment: { filename, mimeType },
+    };
+    if (content.file_id) {
+      return [{ value: content.file_id, source: { fileId: content.file_id }, meta: { ...meta, fileId: content.file_id } }];
+    }
+    if (inline) {
+      const info = describeInlineData(content, inline.base64, inline.mime);
+      return [
+        {
+          value: info.key,
+          source: { inline: info },
+          meta: { ...meta, attachment: { ...meta.attachment, bytes: info.bytes } },
+        },
+      ];
+    }
+    if (typeof content.file_url === "string" && /^https?:\/\//i.test(content.file_url)) {
+      return [{ value: content.file_url, source: { url: content.file_url }, meta }];
+    }
+    return [];
+  }
+
+  function audioLabel(audio) {
+    const transcript = typeof audio.transcript === "string" ? audio.transcript.trim() : "";
+    return transcript ? `Audio — ${transcript.slice(0, 120)}` : "Audio";
+  }
+
+  function fileExtensionForMime(mimeType) {
+    const mime = String(mimeType || "").split(";")[0].trim().toLowerCase();
+    const known = Object.keys(FILE_EXTENSION_MIME_TYPES).find((ext) => FILE_EXTENSION_MIME_TYPES[ext] === mime);
+    return known || mime.split("/")[1]?.replace(/[^a-z0-9]+/g, "") || "bin";
+  }
+
+  function audioPayload(content) {
+    if (content?.type !== "input_audio" && content?.type !== "output_audio" && content?.type !== "audio") {
+      return null;
+    }
+    return content.input_audio || content.audio || content;
+  }
+
+  function isInlineAudio(content) {
+    const audio = audioPayload(content);
+    return Boolean(audio && !(audio.file_id || content.file_id) && typeof audio.data === "string" && audio.data);
+  }
+
+  // 1-based position among the conversation's inline audio clips, used for stable download names.
+  function inlineAudioOrdinal(content, context) {
+    let ordinal = 0;
+    for (let i = 0; i <= context.index; i += 1) {
+      for (const item of context.messages[i].contentItems) {
+        if (isInlineAudio(item)) {
+          ordinal += 1;
+        }
+        if (item === content) {
+          return ordinal;
+        }
+      }
+    }
+    return ordinal;
+  }
+
+  function matchAudio(content, context) {
+    const audio = audioPayload(content);
+    if (!audio) {
+      return [];
+    }
+    const mimeType = audioMimeFromFormat(audio.format) || "audio/wav";
+    const fileId = audio.file_id || content.file_id || null;
+    if (fileId) {
+      return [
+        {
+          value: fileId,
+          source: { fileId },
+          meta: { mediaKind: "audio", fileId, attachment: { filename: "", mimeType: "" } },
+        },
+      ];
+    }
+    if (isInlineAudio(content)) {
+      const info = describeInlineData(audio, audio.data, mimeType);
+      return [
+        {
+          value: info.key,
+          source: { inline: info },
+          meta: {
+            mediaKind: "audio",
+            attachment: {
+              filename: `audio-${inlineAudioOrdinal(content, context)}.${fileExtensionForMime(mimeType)}`,
+              mimeType,
+              bytes: info.bytes,
+            },
+          },
+        },
+      ];
+    }
+    return [];
+  }
+
+  function matchGeneratedImage(content) {
+    if (content?.type !== "image_generation_result") {
+      return [];
+    }
+    const format = content.output_format ? `image/${String(content.output_format).toLowerCase()}` : null;
+    const info = describeInlineData(
+      content,
+      content.result,
+      format === "image/jpg" ? "image/jpeg" : format,
+      content.size
+    );
+    return [{ value: info.key, source: { inline: info }, meta: { dimensions: info } }];
+  }
+
+  function matchFunctionCallImages(content) {
+    if (content?.type !== "function_call_json" || !Array.isArray(content.refs)) {
+      return [];
+    }
+    const matches = [];
+    for (const ref of content.refs) {
+      if (parseDataImageUrl(ref.value)) {
+        if (CONFIG.FEATURE_FLAGS.renderBase64Images) {
+          matches.push({ ...inlineImageMatch(ref, ref.value), path: ref.path });
+        }
+      } else if (/^file-/.test(ref.value)) {
+        // A bare id says nothing about its type: the card is chosen once the download link reports it.
+        matches.push({
+          value: ref.value,
+          path: ref.path,
+          source: { fileId: ref.value },
+          meta: { mediaKind: "file", fileId: ref.value, attachment: { filename: "", mimeType: "" } },
+        });
+      } else {
+        matches.push({ value: ref.value, path: ref.path, source: { url: ref.value } });
+      }
+    }
+    return matches;
+  }
+
+  function matchAnnotatedPlaceholder(content, context) {
+    if (
+      content?.type !== "input_text" ||
+      typeof content.text !== "string" ||
+      !content.text.includes("[ANNOTATED_IMAGE]")
+    ) {
+      return [];
+    }
+    const linked = findNearbyInputImage(context.messages, context.index);
+    const linkedHasUrl = Boolean(linked?.image_url && /^https?:\/\//i.test(linked.image_url));
+    const linkedInline = linked ? parseDataImageUrl(linked.image_url) : null;
+    const linkedInfo = linkedInline
+      ? describeInlineData(linked, linkedInline.base64, linkedInline.mime)
+      : null;
+    let source = null;
+    if (linkedHasUrl) {
+      source = { url: linked.image_url };
+    } else if (linkedInfo) {
+      source = { inline: linkedInfo };
+    } else if (linked?.file_id) {
+      source = { fileId: linked.file_id };
+    }
+    return [
+      {
+        value: linked?.file_id || linkedInfo?.key || linked?.image_url || "missing",
+        source,
+        meta: {
+          fileId: linkedHasUrl ? null : linked?.file_id || null,
+          fallbackNote: linked
+            ? "Annotated image placeholder matched to nearby input_image."
+            : "Annotated image placeholder detected but no nearby input_image found.",
+        },
+      },
+    ];
+  }
+
+  function parseExtractorRules(text) {
+    const rules = [];
+    const errors = [];
+    if (typeof text !== "string" || !text.trim()) {
+      return { rules, errors };
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      return { rules, errors: [`not valid JSON (${error.message})`] };
+    }
+    if (!Array.isArray(parsed)) {
+      return { rules, errors: ["must be a JSON array of rules"] };
+    }
+    parsed.forEach((rule, index) => {
+      const where = `rule ${index + 1}`;
+      if (!rule || typeof rule !== "object") {
+        errors.push(`${where} must be an object`);
+        return;
+      }
+      if (typeof rule.name !== "string" || !/^[A-Za-z][\w-]*$/.test(rule.name)) {
+        errors.push(`${where}: "name" must start with a letter and use only letters, digits, "_" or "-"`);
+        return;
+      }
+      if (CANDIDATE_EXTRACTORS.some((extractor) => extractor.sourceType === rule.name)) {
+        errors.push(`${where}: "${rule.name}" is a built-in source type`);
+        return;
+      }
+      if (!["file_id", "url"].includes(rule.source)) {
+        errors.push(`${where}: "source" must be "file_id" or "url"`);
+        return;
+      }
+      if (rule.caption !== undefined && typeof rule.caption !== "string") {
+        errors.push(`${where}: "caption" must be a string`);
+        return;
+      }
+      if (rule.types !== undefined && (!Array.isArray(rule.types) || !rule.types.every((type) => typeof type === "string"))) {
+        errors.push(`${where}: "types" must be an array of content types`);
+        return;
+      }
+      if (typeof rule.pattern !== "string" || !rule.pattern) {
+        errors.push(`${where}: "pattern" must be a non-empty string`);
+        return;
+      }
+      const flags = typeof rule.flags === "string" ? rule.flags.replace(/g/g, "") : "";
+      try {
+        new RegExp(rule.pattern, `${flags}g`);
+      } catch (error) {
+        errors.push(`${where}: invalid pattern (${error.message})`);
+        return;
+      }
+      rules.push({ ...rule, flags });
+    });
+    return { rules, errors };
+  }
+
+  function customCandidateExtractors() {
+    const text = CONFIG.EXTRACTORS.customRules;
+    if (state.customExtractors?.text !== text) {
+      const { rules, errors } = parseExtractorRules(text);
+      if (errors.length > 0) {
+        log("Skipping invalid custom extractor rules", errors);
+      }
+      state.customExtractors = { text, extractors: rules.map(createRegexExtractor) };
+    }
+    return state.customExtractors.extractors;
+  }
+
+  function createRegexExtractor(rule) {
+    return {
+      sourceType: rule.name,
+      enabled: () => true,
+      match(content) {
+        if (typeof content?.text !== "string" || (rule.types && !rule.types.includes(content.type))) {
+          return [];
+        }
+        const matches = [];
+        for (const found of content.text.matchAll(new RegExp(rule.pattern, `${rule.flags}g`))) {
+          const value = found[1] ?? found[0];
+          if (!value) {
+            continue;
+          }
+          if (rule.source === "file_id") {
+            matches.push({ value, found, source: { fileId: value }, meta: { fileId: value } });
+          } else if (/^https?:\/\//i.test(value)) {
+            matches.push({ value, found, source: { url: value } });
+          } else if (parseDataImageUrl(value)) {
+            matches.push({ ...inlineImageMatch(found, value), found });
+          }
+        }
+        return matches;
+      },
+      caption: (match) =>
+        rule.caption
+          ? rule.caption.replace(/\{(\d+)\}/g, (_token, group) => match.found[Number(group)] ?? "")
+          : match.value,
+    };
+  }
+
+  function findNearbyInputImage(messages, idx) {
+    const maxDistance = 3;
+    for (let dist = 0; dist <= maxDistance; dist += 1) {
+      const before = messages[idx - dist];
+      const after = messages[idx + dist];
+      const beforeHit = before?.contentItems?.find((c) => c?.type === "input_image");
+      if (beforeHit) {
+        return beforeHit;
+      }
+      const afterHit = after?.contentItems?.find((c) => c?.type === "input_image");
+      if (afterHit) {
+        return afterHit;
+      }
+    }
+    return null;
+  }
+
+  function rowKeyForItem(row) {
+    const id = row?.id || row?.item?.id;
+    if (id) {
+      return String(id);
+    }
+    try {
+      return `row:${hashString(JSON.stringify(row))}`;
+    } catch (_error) {
+      return `row:${Math.random().toString(16).slice(2)}`;
+    }
+  }
+
+  function readPageCursor(requestUrl) {
+    try {
+      const url = new URL(requestUrl, window.location.origin);
+      if (url.searchParams.has("before")) {
+        return null;
+      }
+      return url.searchParams.get("after") || "";
+    } catch (_error) {
+      return null;
+    }
+  }
+
+  function getConversationPages(conversationId) {
+    let pages = state.convIdToPages.get(conversationId);
+    if (!pages) {
+      pages = { byCursor: new Map(), loose: [], requestedCursors: new Set(), selfFetched: 0 };
+      state.convIdToPages.set(conversationId, pages);
+    }
+    return pages;
+  }
+
+  function assembleConversationRows(pages) {
+    const rows = [];
+    const seen = new Set();
+    const pushRows = (data) => {
+      for (const row of data) {
+        const key = rowKeyForItem(row);
+        if (!seen.has(key)) {
+          seen.add(key);
+          rows.push(row);
+        }
+      }
+    };
+    const visited = new Set();
+    let cursor = "";
+    while (pages.byCursor.has(cursor) && !visited.has(cursor)) {
+      visited.add(cursor);
+      const page = pages.byCursor.get(cursor);
+      pushRows(page.data);
+      cursor = page.lastId || "";
+    }
+    // Pages that are not (yet) linked to the first page keep their capture order.
+    for (const [pageCursor, page] of pages.byCursor) {
+      if (!visited.has(pageCursor)) {
+        pushRows(page.data);
+      }
+    }
+    for (const page of pages.loose) {
+      pushRows(page.data);
+    }
+    return rows;
+  }
+
+  function captureItemsPayload(payload, requestUrl) {
+    if (!payload || payload.object !== "list" || !Array.isArray(payload.data)) {
+      return;
+    }
+    const conversationId =
+      extractConversationIdFromUrl(requestUrl) ||
+      extractConversationIdFromUrl(window.location.href) ||
+      "unknown";
+    const pages = getConversationPages(conversationId);
+    const cursor = readPageCursor(requestUrl);
+    const page = {
+      data: payload.data,
+      lastId: payload.last_id || rowKeyForItem(payload.data[payload.data.length - 1]),
+      hasMore: payload.has_more === true,
+      signature: hashString(payload.data.map(rowKeyForItem).join("|")),
+    };
+    if (cursor === null) {
+      if (pages.loose.some((known) => known.signature === page.signature)) {
+        return;
+      }
+      pages.loose.push(page);
+    } else {
+      if (pages.byCursor.get(cursor)?.signature === page.signature) {
+        return;
+      }
+      pages.byCursor.set(cursor, page);
+    }
+
+    const messages = normalizeRows(assembleConversationRows(pages), null, conversationId);
+    const assembledIds = new Set(messages.map((msg) => msg.messageId));
+    const existing = state.convIdToMessages.get(conversationId) || [];
+    for (const msg of existing) {
+      if (!assembledIds.has(msg.messageId)) {
+        messages.push(msg);
+      }
+    }
+    if (messages.length > 0) {
+      state.convIdToMessages.set(conversationId, messages);
+      state.lastCapturedConversationId = conversationId;
+      persistConversationIndex(conversationId);
+      enqueueRoot(document);
+      emitRendererEvent("payloadCaptured", {
+        conversationId,
+        messageCount: messages.length,
+        hasMore: page.hasMore,
+      });
+    }
+
+    if (cursor !== null && page.hasMore && payload.last_id) {
+      fetchNextItemsPage(conversationId, requestUrl, payload.last_id);
+    }
+  }
+
+  async function fetchNextItemsPage(conversationId, requestUrl, afterId) {
+    const pages = getConversationPages(conversationId);
+    if (
+      !CONFIG.PAGINATION.fetchRemainingPages ||
+      !state.nativeFetch ||
+      pages.byCursor.has(afterId) ||
+      pages.requestedCursors.has(afterId) ||
+      pages.selfFetched >= CONFIG.PAGINATION.maxPages
+    ) {
+      return;
+    }
+    pages.requestedCursors.add(afterId);
+    pages.selfFetched += 1;
+    await new Promise((resolve) => setTimeout(resolve, CONFIG.PAGINATION.pageDelayMs));
+    // The platform may have requested the same page on its own in the meantime.
+    if (pages.byCursor.has(afterId)) {
+      return;
+    }
+    const url = new URL(requestUrl, window.location.origin);
+    url.searchParams.set("after", afterId);
+    try {
+      const response = await state.nativeFetch(url.toString(), {
+        credentials: "omit",
+        headers: resolveAuthHeadersForConversation(conversationId),
+      });
+      if (!response.ok) {
+        throw new Error(`Items page request failed (${response.status})`);
+      }
+      captureItemsPayload(await response.json(), url.toString());
+      log("Fetched conversation items page", conversationId, "after", afterId);
+    } catch (error) {
+      pages.requestedCursors.delete(afterId);
+      log("Fetching remaining conversation items failed", conversationId, afterId, error);
+    }
+  }
+
+  function isDashboardItemsRequest(urlLike) {
+    try {
+      const url = new URL(urlLike, window.location.origin);
+      return CONFIG.API.dashboardItemsPathRegex.test(url.pathname);
+    } catch (_error) {
+      return false;
+    }
+  }
+
+  function patchNetworkCapture() {
+    if (state.apiPatched) {
+      return;
+    }
+    state.apiPatched = true;
+
+    const originalFetch = window.fetch.bind(window);
+    state.nativeFetch = originalFetch;
+    window.fetch = async (...args) => {
+      captureBearerFromFetchArgs(args);
+      const response = await originalFetch(...args);
+      try {
+        const input = args[0];
+        const requestUrl =
+          typeof input === "string"
+            ? input
+            : input instanceof Request
+              ? input.url
+              : "";
+        const requestHeaders = {};
+        if (input instanceof Request) {
+          requestHeaders.authorization = input.headers.get("authorization");
+          requestHeaders["openai-organization"] = input.headers.get("openai-organization");
+          requestHeaders["openai-project"] = input.headers.get("openai-project");
+        }
+        const init = args[1];
+        if (init && typeof init === "object" && init.headers) {
+          const initAuth = getHeaderValue(init.headers, "authorization");
+          const initOrg = getHeaderValue(init.headers, "openai-organization");
+          const initProject = getHeaderValue(init.headers, "openai-project");
+          if (initAuth) {
+            requestHeaders.authorization = initAuth;
+          }
+          if (initOrg) {
+            requestHeaders["openai-organization"] = initOrg;
+          }
+          if (initProject) {
+            requestHeaders["openai-project"] = initProject;
+          }
+        }
+        captureItemsRequestHeaders(requestUrl, requestHeaders);
+        if (requestUrl && isDashboardItemsRequest(requestUrl)) {
+          const clone = response.clone();
+          clone
+            .json()
+            .then((payload) => captureItemsPayload(payload, requestUrl))
+            .catch((error) => log("Fetch JSON clone parse failed", error));
+        }
+      } catch (error) {
+        log("Fetch interception failed", error);
+      }
+      return response;
+    };
+
+    const originalOpen = XMLHttpRequest.prototype.open;
+    XMLHttpRequest.prototype.open = function patchedOpen(method, url, ...rest) {
+      this.__ociRequestUrl = typeof url === "string" ? url : "";
+      this.__ociRequestHeaders = {};
+      return originalOpen.call(this, method, url, ...rest);
+    };
+
+    const originalSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader;
+    XMLHttpRequest.prototype.setRequestHeader = function patchedSetRequestHeader(name, value) {
+      try {
+        const key = String(name || "").toLowerCase();
+        if (key) {
+          this.__ociRequestHeaders = this.__ociRequestHeaders || {};
+          this.__ociRequestHeaders[key] = String(value || "");
+          if (key === "authorization") {
+            rememberBearerToken(String(value || ""));
+          } else if (key === "openai-organization") {
+            rememberOpenAiHeaders(String(value || ""), null);
+          } else if (key === "openai-project") {
+            rememberOpenAiHeaders(null, String(value || ""));
+          }
+        }
+      } catch (_error) {
+        // ignore capture errors and keep request flow untouched
+      }
+      return originalSetRequestHeader.call(this, name, value);
+    };
+
+    const originalSend = XMLHttpRequest.prototype.send;
+    XMLHttpRequest.prototype.send = function patchedSend(...args) {
+      this.addEventListener("load", function onLoad() {
+        try {
+          const requestUrl = this.__ociRequestUrl || "";
+          captureItemsRequestHeaders(requestUrl, this.__ociRequestHeaders || {});
+          if (!requestUrl || !isDashboardItemsRequest(requestUrl)) {
+            return;
+          }
+          const body = this.responseType === "" || this.responseType === "text"
+            ? this.responseText
+            : "";
+          if (!body) {
+            return;
+          }
+          const payload = JSON.parse(body);
+          captureItemsPayload(payload, requestUrl);
+        } catch (error) {
+          log("XHR interception failed", error);
+        }
+      });
+      return originalSend.apply(this, args);
+    };
+
+    const originalPushState = history.pushState.bind(history);
+    history.pushState = function patchedPushState(...args) {
+      const result = originalPushState(...args);
+      refreshRouteScopedState();
+      enqueueRoot(document);
+      return result;
+    };
+
+    const originalReplaceState = history.replaceState.bind(history);
+    history.replaceState = function patchedReplaceState(...args) {
+      const result = originalReplaceState(...args);
+      refreshRouteScopedState();
+      enqueueRoot(document);
+      return result;
+    };
+
+    window.addEventListener("popstate", () => {
+      refreshRouteScopedState();
+      enqueueRoot(document);
+    });
+
+    window.addEventListener("hashchange", () => {
+      refreshRouteScopedState();
+      enqueueRoot(document);
+    });
+  }
+
+  function findContainerForMessage(messageId) {
+    if (!messageId) {
+      return null;
+    }
+    const selectors = [
+      `[data-message-id="${escapeAttrValue(messageId)}"]`,
+      `[data-message-id*="${escapeAttrValue(messageId)}"]`,
+      `[data-id="${escapeAttrValue(messageId)}"]`,
+      `[data-id*="${escapeAttrValue(messageId)}"]`,
+      `[id*="${escapeAttrValue(messageId)}"]`,
+    ];
+    for (const selector of selectors) {
+      const found = document.querySelector(selector);
+      if (found instanceof Element) {
+        return found;
+      }
+    }
+    return null;
+  }
+
+  function normalizeMatchText(text) {
+    return String(text || "")
+      .replace(/!\[[^\]]*]\((https?:\/\/[^)\s]+)\)/gim, "$1")
+      .replace(/\*\*([^*]+)\*\*/g, "$1")
+      .replace(/`([^`]+)`/g, "$1")
+      .replace(/\s+/g, " ")
+      .trim()
+      .toLowerCase();
+  }
+
+  function messageTextForMatching(message) {
+    if (!message || !Array.isArray(message.contentItems)) {
+      return "";
+    }
+    const parts = [];
+    for (const content of message.contentItems) {
+      if (content?.type === "output_text" && typeof content.text === "string") {
+        parts.push(content.text);
+      } else if (content?.type === "input_text" && typeof content.text === "string") {
+        parts.push(content.text);
+      } else if (content?.type === "function_call_json" && content.kind === "arguments" && content.name) {
+        parts.push(content.name);
+      } else if (content?.type === "function_call_json" && content.kind === "output" && content.text) {
+        parts.push(content.text);
+      }
+    }
+    return normalizeMatchText(parts.join(" "));
+  }
+
+  function isInputImageOnlyMessage(message) {
+    if (!message || !Array.isArray(message.contentItems) || message.contentItems.length === 0) {
+      return false;
+    }
+    return message.contentItems.every((content) => content?.type === "input_image");
+  }
+
+  function isValidSelector(selector) {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (_error) {
+      return false;
+    }
+  }
+
+  function queryAllSafe(root, selector) {
+    if (!selector) {
+      return [];
+    }
+    try {
+      return Array.from(root.querySelectorAll(selector));
+    } catch (error) {
+      log("Invalid selector skipped", selector, error);
+      return [];
+    }
+  }
+
+  function createSelectorStrategy(name, selectors) {
+    return {
+      name,
+      findResponseCard(responseId) {
+        for (const token of queryAllSafe(document, selectors.responseId)) {
+          if ((token.textContent || "").trim() === responseId) {
+            const card = selectors.responseCard ? token.closest(selectors.responseCard) : null;
+            if (card) {
+              return card;
+            }
+          }
+        }
+        return null;
+      },
+      readBlocks(card) {
+        return queryAllSafe(card, selectors.block).map((node) => ({
+          node,
+          roleText: queryAllSafe(node, selectors.role)[0]?.textContent || "",
+          bodyEl: queryAllSafe(node, selectors.body)[0] || null,
+        }));
+      },
+    };
+  }
+
+  function isRoleLabel(el) {
+    return (
+      el instanceof Element &&
+      el.childElementCount === 0 &&
+      ROLE_LABEL_PATTERN.test((el.textContent || "").trim())
+    );
+  }
+
+  function readRoleLabelledBlocks(card) {
+    const blocks = [];
+    for (const label of card.querySelectorAll("div, span, p, h3, h4, h5, strong")) {
+      if (!isRoleLabel(label)) {
+        continue;
+      }
+      // A block is the label's parent; its body is whatever follows the label.
+      const node = label.parentElement;
+      if (!node || node === card || blocks.some((block) => block.node === node)) {
+        continue;
+      }
+      blocks.push({
+        node,
+        roleText: label.textContent || "",
+        bodyEl: label.nextElementSibling,
+      });
+    }
+    return blocks;
+  }
+
+  function closestCardWithBlocks(el) {
+    for (let node = el?.parentElement; node && node !== document.body; node = node.parentElement) {
+      if (readRoleLabelledBlocks(node).length > 0) {
+        return node;
+      }
+    }
+    return null;
+  }
+
+  // Walking every text node is the most expensive strategy, so one walk looks
+  // up every captured response id at once. Hits are kept until the card leaves
+  // the DOM; ids already covered by a walk are retried at most once a second.
+  function findTextAnchoredCard(responseId) {
+    const cached = state.textAnchoredCards.get(responseId);
+    if (cached?.isConnected) {
+      return cached;
+    }
+    const lastWalk = state.textAnchorWalk;
+    if (lastWalk?.ids.has(responseId) && Date.now() - lastWalk.at < TEXT_ANCHOR_RETRY_MS) {
+      return null;
+    }
+    walkTextAnchors(new Set([responseId, ...pendingResponseIds()]));
+    return state.textAnchoredCards.get(responseId) || null;
+  }
+
+  function pendingResponseIds() {
+    const ids = new Set();
+    for (const messages of state.convIdToMessages.values()) {
+      for (const msg of messages) {
+        if (msg.responseId && !state.textAnchoredCards.get(msg.responseId)?.isConnected) {
+          ids.add(String(msg.responseId).trim());
+        }
+      }
+    }
+    return ids;
+  }
+
+  function walkTextAnchors(ids) {
+    for (const id of ids) {
+      state.textAnchoredCards.delete(id);
+    }
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const value = node.nodeValue.trim();
+      if (
+        !ids.has(value) ||
+        state.textAnchoredCards.has(value) ||
+        node.parentElement?.closest("[data-oci-root], .oci-gallery, .oci-settings")
+      ) {
+        continue;
+      }
+      const card = closestCardWithBlocks(node.parentElement);
+      if (card) {
+        state.textAnchoredCards.set(value, card);
+      }
+    }
+    state.textAnchorWalk = { ids, at: Date.now() };
+  }
+
+  function activeDomStrategies() {
+    return DOM_STRATEGIES.filter((strategy) => strategy.enabled());
+  }
+
+  function findResponseCardByResponseId(responseId) {
+    if (!responseId) {
+      return null;
+    }
+    const id = String(responseId).trim();
+    if (!id) {
+      return null;
+    }
+    for (const strategy of activeDomStrategies()) {
+      const card = strategy.findResponseCard(id);
+      if (card instanceof Element) {
+        state.cardStrategies.set(card, strategy);
+        state.lastDomStrategy = strategy.name;
+        return card;
+      }
+    }
+    return null;
+  }
+
+  function readResponseBlocks(card) {
+    const blocks = [];
+    if (!(card instanceof Element)) {
+      return blocks;
+    }
+    const preferred = state.cardStrategies.get(card);
+    const strategies = preferred
+      ? [preferred, ...activeDomStrategies().filter((strategy) => strategy !== preferred)]
+      : activeDomStrategies();
+    let raw = [];
+    for (const strategy of strategies) {
+      raw = strategy.readBlocks(card);
+      if (raw.length > 0) {
+        break;
+      }
+    }
+    let idx = 0;
+    for (const { node, roleText, bodyEl } of raw) {
+      const role = roleText.trim().toLowerCase();
+      const bodyText = normalizeMatchText(bodyEl?.textContent || "");
+      blocks.push({
+        idx,
+        role,
+        bodyText,
+        hasBody: Boolean(bodyEl && bodyText),
+        el: node,
+      });
+      idx += 1;
+    }
+    return blocks;
+  }
+
+  function runSelectorSelfCheck() {
+    const responseIds = Array.from(
+      new Set(
+        getCurrentConversationMessages()
+          .map((msg) => msg.responseId)
+          .filter(Boolean)
+      )
+    );
+    const lines = [];
+    if (responseIds.length === 0) {
+      lines.push("No captured response ids for this conversation yet; open a conversation log first.");
+    }
+    for (const strategy of DOM_STRATEGIES) {
+      if (!strategy.enabled()) {
+        lines.push(`${strategy.name}: not configured`);
+        continue;
+      }
+      let cards = 0;
+      let blocks = 0;
+      for (const id of responseIds) {
+        const card = strategy.findResponseCard(id);
+        if (card) {
+          cards += 1;
+          blocks += strategy.readBlocks(card).length;
+        }
+      }
+      lines.push(`${strategy.name}: ${cards}/${responseIds.length} responses, ${blocks} message blocks`);
+    }
+    const used = new Set();
+    for (const id of responseIds) {
+      if (findResponseCardByResponseId(id)) {
+        used.add(state.lastDomStrategy);
+      }
+    }
+    lines.push(`In use: ${used.size > 0 ? Array.from(used).join(", ") : "none"}`);
+    log("Selector self-check", lines);
+    return lines.join("\n");
+  }
+
+  function findContainerInResponseBlocks(message, blocks, usedIndices, trace = {}) {
+    if (!message || !Array.isArray(blocks) || blocks.length === 0) {
+      trace.path = "none (no message blocks)";
+      return null;
+    }
+    const role = String(message.role || "").toLowerCase();
+    const roleMatches = blocks.filter(
+      (block) =>
+        block.role === role &&
+        !usedIndices.has(block.idx) &&
+        block.el instanceof Element
+    );
+    if (roleMatches.length === 0) {
+      trace.path = `none (no free "${role}" block)`;
+      return null;
+    }
+
+    if (isInputImageOnlyMessage(message)) {
+      const emptyBodyMatch = roleMatches.find((block) => !block.hasBody);
+      if (emptyBodyMatch) {
+        usedIndices.add(emptyBodyMatch.idx);
+        trace.path = "empty-body block";
+        return emptyBodyMatch.el;
+      }
+    }
+
+    const textToMatch = messageTextForMatching(message);
+    if (textToMatch) {
+      const snippet = textToMatch.slice(0, 140);
+      const exactBodyMatch = roleMatches.find(
+        (block) => block.bodyText && block.bodyText.includes(snippet)
+      );
+      if (exactBodyMatch) {
+        usedIndices.add(exactBodyMatch.idx);
+        trace.path = "exact snippet";
+        return exactBodyMatch.el;
+      }
+
+      const fuzzyBodyMatch = roleMatches.find((block) => {
+        if (!block.bodyText) {
+          return false;
+        }
+        const bodySnippet = block.bodyText.slice(0, 120);
+        return bodySnippet && textToMatch.includes(bodySnippet);
+      });
+      if (fuzzyBodyMatch) {
+        usedIndices.add(fuzzyBodyMatch.idx);
+        trace.path = "fuzzy snippet";
+        return fuzzyBodyMatch.el;
+      }
+    }
+
+    usedIndices.add(roleMatches[0].idx);
+    trace.path = "role fallback";
+    return roleMatches[0].el;
+  }
+
+  async function renderCandidate(candidate) {
+    const key = sourceKey(
+      candidate.message.messageId,
+      candidate.sourceType,
+      candidate.sourceValue
+    );
+
+    const mount = ensureMessageMount(
+      candidate.message.containerElement,
+      candidate.message.messageId,
+      !candidate.requireMessageContainer
+    );
+    if (!mount) {
+      return;
+    }
+
+    if (state.renderedSourceKeys.has(key)) {
+      return;
+    }
+    const pendingPlaceholder = state.pendingSourceKeys.get(key);
+    if (pendingPlaceholder) {
+      if (pendingPlaceholder.isConnected) {
+        return;
+      }
+      // The platform re-rendered the block before this candidate resolved.
+      cancelLazyWait(pendingPlaceholder);
+      state.pendingSourceKeys.delete(key);
+    }
+
+    // Reserve the card position synchronously so parallel resolution cannot
+    // reorder images within a message.
+    const slot = ensureCandidateSlot(mount, key);
+
+    const eventDetail = {
+      conversationId: candidate.message.conversationId || getCurrentConversationId(),
+      sourceKey: key,
+      messageId: candidate.message.messageId,
+      sourceType: candidate.sourceType,
+    };
+
+    const showError = (error) => {
+      const label = `${isImageCandidate(candidate) ? "Image" : "File"} unavailable (${candidate.sourceValue})`;
+      state.renderedSourceKeys.add(key);
+      emitRendererEvent("imageFailed", { ...eventDetail, error: error?.message || String(error) });
+      appendErrorBadge(slot, key, label, async () => {
+        const errorEl = slot.querySelector(
+          `[data-oci-error="${escapeAttrValue(key)}"]`
+        );
+        if (errorEl) {
+          errorEl.remove();
+        }
+        state.renderedSourceKeys.delete(key);
+        await renderCandidate(candidate);
+      });
+      log("Render failed", key, error);
+    };
+
+    const onImageError = async (img) => {
+      // Signed URLs can expire while the tab is open: drop the cached link and
+      // re-resolve once before giving up on the image.
+      if (candidate.fileId && img.dataset.ociReloaded !== "1") {
+        img.dataset.ociReloaded = "1";
+        invalidateResolvedFile(candidate.fileId);
+        try {
+          const freshSrc = await candidate.resolver({ anchor: img.closest(".oci-image-card") || img });
+          if (freshSrc && freshSrc !== img.src) {
+            img.src = freshSrc;
+            return;
+          }
+        } catch (error) {
+          log("Re-resolving expired image failed", key, error);
+        }
+      }
+      img.closest(".oci-image-card")?.remove();
+      noteDiagnostic(key, { status: "error", error: "Image failed to load" });
+      showError(new Error(`Image failed to load: ${img.src}`));
+    };
+
+    const render = async () => {
+      // The slot is display: contents and has no box, so the placeholder is
+      // what both the lazy observer and the scheduler measure.
+      const placeholder = appendPlaceholder(slot, candidate);
+      state.pendingSourceKeys.set(key, placeholder);
+      noteDiagnostic(key, { status: "waiting for viewport", error: null, mountedAt: Date.now(), resolveMs: null });
+      try {
+        const visible = await waitForNearViewport(placeholder);
+        if (!visible || !placeholder.isConnected) {
+          noteDiagnostic(key, { status: "cancelled (block re-rendered)" });
+          return;
+        }
+        const resolveStartedAt = Date.now();
+        noteDiagnostic(key, { status: "resolving" });
+        const resolvedSrc = await candidate.resolver({ anchor: placeholder });
+        noteDiagnostic(key, {
+          status: resolvedSrc ? "rendered" : "no image source",
+          resolveMs: Date.now() - resolveStartedAt,
+        });
+        slot.querySelector(".oci-placeholder")?.remove();
+        if (resolvedSrc && !isImageCandidate(candidate)) {
+          appendFileCard(slot, key, resolvedSrc, candidate);
+        } else if (resolvedSrc) {
+          appendImageCard(slot, key, resolvedSrc, candidate.caption, {
+            role: candidate.message.role,
+            responseId: candidate.message.responseId,
+            messageId: candidate.message.messageId,
+            sourceType: candidate.sourceType,
+            detail: candidate.detail,
+            actions: candidate.actions,
+            inlineInfo: candidate.dimensions,
+            fileId: candidate.fileId,
+            alt: candidate.alt,
+            onError: onImageError,
+          });
+        } else if (candidate.fallbackNote) {
+          appendNote(slot, key, candidate.fallbackNote);
+        }
+        state.renderedSourceKeys.add(key);
+        if (resolvedSrc) {
+          emitRendererEvent("imageRendered", { ...eventDetail, src: resolvedSrc });
+        }
+      } catch (error) {
+        slot.querySelector(".oci-placeholder")?.remove();
+        noteDiagnostic(key, { status: "error", error: error?.message || String(error) });
+        showError(error);
+      } finally {
+        if (state.pendingSourceKeys.get(key) === placeholder) {
+          state.pendingSourceKeys.delete(key);
+        }
+      }
+    };
+
+    await render();
+  }
+
+  function findJsonContainerElements(root) {
+    const out = [];
+    const selector = SELECTORS.join(",");
+    const list = root.querySelectorAll(selector);
+    let count = 0;
+
+    if (root instanceof Element && root.matches(selector)) {
+      if (count < CONFIG.OBSERVATION.maxScanPerCycle) {
+        const rootText = getNodeText(root);
+        if (
+          root.dataset.ociProcessed !== "1" &&
+          rootText.includes('"object"') &&
+          rootText.includes('"data"') &&
+          rootText.includes('"type"') &&
+          rootText.includes('"message"')
+        ) {
+          out.push(root);
+          count += 1;
+        }
+      }
+    }
+
+    for (const el of list) {
+      if (count >= CONFIG.OBSERVATION.maxScanPerCycle) {
+        break;
+      }
+      if (!(el instanceof Element)) {
+        continue;
+      }
+      if (el.dataset.ociProcessed === "1") {
+        continue;
+      }
+      const text = getNodeText(el);
+      if (
+        text.includes('"object"') &&
+        text.includes('"data"') &&
+        text.includes('"type"') &&
+        text.includes('"message"')
+      ) {
+        out.push(el);
+        count += 1;
+      }
+    }
+    return out;
+  }
+
+  function processContainerElement(el) {
+    if (!(el instanceof Element) || el.dataset.ociProcessed === "1") {
+      return;
+    }
+
+    const text = getNodeText(el);
+    const payload = maybeParseListPayload(text);
+    if (!payload) {
+      return;
+    }
+
+    const messages = normalizeMessages(payload, el);
+    if (messages.length === 0) {
+      el.dataset.ociProcessed = "1";
+      return;
+    }
+    for (const msg of messages) {
+      state.matchTraces.set(msg.messageId, { path: "inline JSON block", strategy: null, target: el });
+    }
+
+    el.dataset.ociProcessed = "1";
+    // renderCandidate reserves each slot synchronously, so placement is settled
+    // here; resolution waits for the viewport and must not hold up the scan.
+    for (const candidate of collectCandidatesFromMessages(messages)) {
+      renderCandidate(candidate);
+    }
+  }
+
+  function processCapturedMessages() {
+    for (const messages of state.convIdToMessages.values()) {
+      const responseContextById = new Map();
+      const patchedMessages = messages.map((msg) => ({
+        ...msg,
+        containerElement: null,
+      }));
+
+      const getResponseContext = (responseId) => {
+        let ctx = responseContextById.get(responseId);
+        if (!ctx) {
+          const card = findResponseCardByResponseId(responseId);
+          const blocks = readResponseBlocks(card);
+          ctx = { card, blocks, usedIndices: new Set() };
+          responseContextById.set(responseId, ctx);
+        }
+        return ctx;
+      };
+
+      // Manual placements claim their blocks first so automatic matching cannot take them.
+      const anchored = new Set();
+      for (const msg of patchedMessages) {
+        const override = getAnchorOverride(msg.conversationId, msg.messageId);
+        if (!override) {
+          continue;
+        }
+        const ctx = getResponseContext(override.responseId);
+        const block = ctx.blocks.find((entry) => entry.idx === override.blockIdx);
+        if (!block) {
+          continue;
+        }
+        ctx.usedIndices.add(block.idx);
+        msg.containerElement = block.el;
+        anchored.add(msg);
+        state.messageIdToContainer.set(msg.messageId, block.el);
+        state.matchTraces.set(msg.messageId, {
+          path: "manual override",
+          strategy: state.cardStrategies.get(ctx.card)?.name || null,
+          target: block.el,
+        });
+      }
+
+      for (const msg of patchedMessages) {
+        if (anchored.has(msg)) {
+          continue;
+        }
+        let container = findContainerForMessage(msg.messageId);
+        const trace = { path: container ? "message-id selector" : "none (no response id)", strategy: null };
+        if (!container && msg.responseId) {
+          const ctx = getResponseContext(msg.responseId);
+          if (ctx.card) {
+            trace.strategy = state.cardStrategies.get(ctx.card)?.name || null;
+            container = findContainerInResponseBlocks(msg, ctx.blocks, ctx.usedIndices, trace);
+          } else {
+            trace.path = "none (response card not found)";
+          }
+        }
+        state.matchTraces.set(msg.messageId, { ...trace, target: container });
+        msg.containerElement = container;
+        if (container) {
+          state.messageIdToContainer.set(msg.messageId, container);
+        }
+      }
+
+      const candidates = collectCandidatesFromMessages(patchedMessages);
+      for (const candidate of candidates) {
+        if (!candidate.message.containerElement) {
+          continue;
+        }
+        candidate.requireMessageContainer = true;
+        renderCandidate(candidate);
+      }
+    }
+    refreshGalleryIfOpen();
+    refreshFilmstripIfOpen();
+    refreshDiagnosticsIfOpen();
+  }
+
+  function scanRoot(root) {
+    if (!root || !(root instanceof Element || root instanceof Document)) {
       return;
     }
-    if (href !== state.lastKnownHref) {
-      state.lastKnownHref = href;
-      resetScopedHeadersForRouteChange();
+
+    const candidateElements = findJsonContainerElements(root);
+    for (const element of candidateElements) {
+      processContainerElement(element);
     }
+
+    processCapturedMessages();
   }
 
-  function getHeaderValue(headersLike, headerName) {
-    if (!headersLike) {
-      return null;
+  const scheduleScan = debounce(() => {
+    state.scheduled = false;
+    refreshRouteScopedState();
+    const roots = Array.from(state.pendingRoots);
+    state.pendingRoots.clear();
+    for (const root of roots) {
+      scanRoot(root);
     }
-    const target = String(headerName || "").toLowerCase();
-    if (!target) {
-      return null;
+  }, CONFIG.OBSERVATION.mutationDebounceMs);
+
+  function enqueueRoot(root) {
+    state.pendingRoots.add(root || document);
+    if (!state.scheduled) {
+      state.scheduled = true;
+      scheduleScan();
     }
-    if (headersLike instanceof Headers) {
-      return headersLike.get(headerName);
+  }
+
+  function startObserver() {
+    const observer = new MutationObserver((mutations) => {
+      for (const mutation of mutations) {
+        if (mutation.target && mutation.target instanceof Node) {
+          enqueueRoot(mutation.target.nodeType === Node.ELEMENT_NODE ? mutation.target : document);
+        }
+        for (const node of mutation.addedNodes) {
+          if (node instanceof Element) {
+            enqueueRoot(node);
+          }
+        }
+      }
+    });
+
+    observer.observe(document.body, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+    });
+
+    enqueueRoot(document);
+  }
+
+  function pickSettings(source) {
+    const out = {};
+    for (const field of SETTINGS_SCHEMA) {
+      out[field.section] = out[field.section] || {};
+      out[field.section][field.key] = source?.[field.section]?.[field.key];
     }
-    if (Array.isArray(headersLike)) {
-      for (const pair of headersLike) {
-        if (!Array.isArray(pair) || pair.length < 2) {
+    return JSON.parse(JSON.stringify(out));
+  }
+
+  function validateSettings(raw) {
+    const settings = pickSettings(state.defaultSettings || CONFIG);
+    const errors = [];
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      return { settings, errors: ["Settings must be a JSON object."] };
+    }
+    for (const field of SETTINGS_SCHEMA) {
+      const value = raw[field.section]?.[field.key];
+      if (value === undefined) {
+        continue;
+      }
+      const name = `${field.section}.${field.key}`;
+      if (field.type === "boolean") {
+        if (typeof value !== "boolean") {
+          errors.push(`${name} must be true or false.`);
           continue;
         }
-        if (String(pair[0] || "").toLowerCase() === target) {
-          return String(pair[1] || "");
+      } else if (field.type === "number") {
+        if (
+          typeof value !== "number" ||
+          !Number.isFinite(value) ||
+          value < field.min ||
+          value > field.max ||
+          (field.integer && !Number.isInteger(value))
+        ) {
+          errors.push(
+            `${name} must be ${field.integer ? "an integer" : "a number"} between ${field.min} and ${field.max}.`
+          );
+          continue;
+        }
+      } else if (field.type === "select") {
+        if (!field.options.includes(value)) {
+          errors.push(`${name} must be one of: ${field.options.join(", ")}.`);
+          continue;
+        }
+      } else if (typeof value !== "string") {
+        errors.push(`${name} must be a string.`);
+        continue;
+      } else if (field.pattern && !field.pattern.test(value.trim())) {
+        errors.push(`${name} has an invalid format.`);
+        continue;
+      } else if (field.selector && value.trim() && !isValidSelector(value.trim())) {
+        errors.push(`${name} is not a valid CSS selector.`);
+        continue;
+      } else if (field.extractorRules) {
+        const ruleErrors = parseExtractorRules(value).errors;
+        if (ruleErrors.length > 0) {
+          errors.push(...ruleErrors.map((message) => `${name}: ${message}.`));
+          continue;
         }
       }
+      settings[field.section][field.key] = value;
+    }
+    return { settings, errors };
+  }
+
+  function assignSettings(settings) {
+    for (const field of SETTINGS_SCHEMA) {
+      CONFIG[field.section][field.key] = settings[field.section][field.key];
+    }
+  }
+
+  function readStoredSettings() {
+    try {
+      const raw = localStorage.getItem(CONFIG.STORAGE.settingsKey);
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      log("Stored settings unreadable", error);
       return null;
     }
-    if (typeof headersLike === "object") {
-      for (const [key, value] of Object.entries(headersLike)) {
-        if (String(key || "").toLowerCase() === target) {
-          return typeof value === "string" ? value : String(value);
-        }
+  }
+
+  function writeStoredSettings(settings) {
+    try {
+      if (settings) {
+        localStorage.setItem(CONFIG.STORAGE.settingsKey, JSON.stringify(settings));
+      } else {
+        localStorage.removeItem(CONFIG.STORAGE.settingsKey);
       }
+      return true;
+    } catch (error) {
+      log("Settings could not be saved", error);
+      return false;
     }
-    return null;
   }
 
-  function captureBearerFromFetchArgs(args) {
-    const input = args[0];
-    const init = args[1];
-    let org = null;
-    let project = null;
-    if (input instanceof Request) {
-      rememberBearerToken(input.headers.get("authorization"));
-      org = input.headers.get("openai-organization");
-      project = input.headers.get("openai-project");
+  function loadSettings() {
+    state.defaultSettings = pickSettings(CONFIG);
+    const stored = readStoredSettings();
+    if (!stored) {
+      return;
     }
-    if (init && typeof init === "object") {
-      rememberBearerToken(getHeaderValue(init.headers, "authorization"));
-      org = org || getHeaderValue(init.headers, "openai-organization");
-      project = project || getHeaderValue(init.headers, "openai-project");
+    const { settings, errors } = validateSettings(stored);
+    if (errors.length > 0) {
+      log("Ignoring invalid stored settings", errors);
     }
-    rememberOpenAiHeaders(org, project);
+    assignSettings(settings);
   }
 
-  function captureItemsRequestHeaders(requestUrl, headersLike) {
-    if (!requestUrl || !isDashboardItemsRequest(requestUrl)) {
-      return;
+  function applySettings(settings) {
+    assignSettings(settings);
+    ensureStyles();
+    applyTheme();
+    resetLazyObserver();
+    resetRenderedImages();
+  }
+
+  function resetRenderedImages() {
+    for (const mount of document.querySelectorAll(".oci-images")) {
+      mount.remove();
     }
-    const conversationId =
-      extractConversationIdFromUrl(requestUrl) ||
-      extractConversationIdFromUrl(window.location.href) ||
-      "unknown";
+    document.querySelector("#oci-global-gallery")?.remove();
+    for (const el of document.querySelectorAll("[data-oci-processed]")) {
+      delete el.dataset.ociProcessed;
+    }
+    for (const placeholder of state.pendingSourceKeys.values()) {
+      cancelLazyWait(placeholder);
+    }
+    state.pendingSourceKeys.clear();
+    state.renderedSourceKeys.clear();
+    enqueueRoot(document);
+  }
 
-    const authorization =
-      getHeaderValue(headersLike, "authorization") || null;
-    const organization =
-      getHeaderValue(headersLike, "openai-organization") || null;
-    const project =
-      getHeaderValue(headersLike, "openai-project") || null;
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.style.display = "none";
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 10_000);
+  }
 
-    const previous = state.convIdToRequestHeaders.get(conversationId) || {};
-    const next = {
-      authorization: authorization || previous.authorization || null,
-      openaiOrganization: organization || previous.openaiOrganization || null,
-      openaiProject: project || previous.openaiProject || null,
+  function ensureToolbar() {
+    let bar = document.querySelector("#oci-toolbar");
+    if (!bar) {
+      bar = document.createElement("div");
+      bar.id = "oci-toolbar";
+      bar.className = "oci-toolbar";
+      document.body.appendChild(bar);
+    }
+    return bar;
+  }
+
+  function addToolbarButton(action, label, title, onClick) {
+    const bar = ensureToolbar();
+    let button = bar.querySelector(`[data-oci-action="${escapeAttrValue(action)}"]`);
+    if (!button) {
+      button = document.createElement("button");
+      button.type = "button";
+      button.setAttribute("data-oci-action", action);
+      button.addEventListener("click", onClick);
+      bar.appendChild(button);
+    }
+    button.textContent = label;
+    button.title = title;
+    return button;
+  }
+
+  function ensureSettingsPanel() {
+    if (state.settingsPanel) {
+      return state.settingsPanel;
+    }
+    const panel = document.createElement("form");
+    panel.id = "oci-settings";
+    panel.className = "oci-settings";
+    panel.hidden = true;
+    panel.noValidate = true;
+
+    const title = document.createElement("h3");
+    title.textContent = "Image renderer settings";
+    panel.appendChild(title);
+
+    const fieldsets = new Map();
+    for (const field of SETTINGS_SCHEMA) {
+      let fieldset = fieldsets.get(field.section);
+      if (!fieldset) {
+        fieldset = document.createElement("fieldset");
+        const legend = document.createElement("legend");
+        legend.textContent = SETTINGS_SECTION_LABELS[field.section] || field.section;
+        fieldset.appendChild(legend);
+        fieldsets.set(field.section, fieldset);
+        panel.appendChild(fieldset);
+      }
+      const label = document.createElement("label");
+      const text = document.createElement("span");
+      text.textContent = field.label;
+      let input;
+      if (field.type === "select") {
+        input = document.createElement("select");
+        for (const option of field.options) {
+          const el = document.createElement("option");
+          el.value = option;
+          el.textContent = option;
+          input.appendChild(el);
+        }
+      } else if (field.multiline) {
+        input = document.createElement("textarea");
+        input.rows = 4;
+        input.spellcheck = false;
+        input.placeholder = JSON.stringify([
+          { name: "screenshot_tag", pattern: "\\[SCREENSHOT:(file-\\w+)\\]", source: "file_id" },
+        ]);
+        label.classList.add("oci-settings-wide");
+      } else {
+        input = document.createElement("input");
+        if (field.type === "boolean") {
+          input.type = "checkbox";
+        } else if (field.type === "number") {
+          input.type = "number";
+          input.min = String(field.min);
+          input.max = String(field.max);
+          input.step = field.integer ? "1" : "any";
+        } else {
+          input.type = "text";
+        }
+      }
+      input.setAttribute("data-oci-setting", `${field.section}.${field.key}`);
+      label.append(text, input);
+      fieldset.appendChild(label);
+    }
+
+    const actions = document.createElement("div");
+    actions.className = "oci-settings-actions";
+    const addAction = (label, onClick) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.textContent = label;
+      button.addEventListener("click", onClick);
+      actions.appendChild(button);
     };
+    const importInput = document.createElement("input");
+    importInput.type = "file";
+    importInput.accept = "application/json,.json";
+    importInput.hidden = true;
+    addAction("Reset to defaults", () => {
+      const defaults = pickSettings(state.defaultSettings);
+      writeStoredSettings(null);
+      fillSettingsForm(defaults);
+      applySettings(defaults);
+      setSettingsStatus("Defaults restored.");
+    });
+    addAction("Export JSON", () => {
+      const json = JSON.stringify(pickSettings(CONFIG), null, 2);
+      downloadBlob(new Blob([json], { type: "application/json" }), "oci-settings.json");
+    });
+    addAction("Import JSON", () => importInput.click());
+    addAction("Clear image cache", () => clearStoredCache());
+    addAction("Check selectors", () => setSettingsStatus(runSelectorSelfCheck()));
+    addAction("Close", () => toggleSettingsPanel(false));
+    actions.appendChild(importInput);
+    panel.appendChild(actions);
 
-    state.convIdToRequestHeaders.set(conversationId, next);
+    const status = document.createElement("div");
+    status.className = "oci-settings-status";
+    panel.appendChild(status);
 
-    if (next.authorization) {
-      rememberBearerToken(next.authorization);
+    panel.addEventListener("change", (event) => {
+      if (event.target === importInput) {
+        return;
+      }
+      commitSettings(readSettingsForm());
+    });
+    panel.addEventListener("submit", (event) => {
+      event.preventDefault();
+      commitSettings(readSettingsForm());
+    });
+    importInput.addEventListener("change", async () => {
+      const file = importInput.files?.[0];
+      importInput.value = "";
+      if (!file) {
+        return;
+      }
+      let raw;
+      try {
+        raw = JSON.parse(await file.text());
+      } catch (_error) {
+        setSettingsStatus("Import failed: file is not valid JSON.", true);
+        return;
+      }
+      if (commitSettings(raw)) {
+        setSettingsStatus(`Imported settings from ${file.name}.`);
+      }
+    });
+
+    document.body.appendChild(panel);
+    state.settingsPanel = panel;
+    return panel;
+  }
+
+  function fillSettingsForm(settings) {
+    const panel = ensureSettingsPanel();
+    for (const field of SETTINGS_SCHEMA) {
+      const input = panel.querySelector(
+        `[data-oci-setting="${escapeAttrValue(`${field.section}.${field.key}`)}"]`
+      );
+      const value = settings[field.section][field.key];
+      if (field.type === "boolean") {
+        input.checked = Boolean(value);
+      } else {
+        input.value = String(value);
+      }
     }
-    rememberOpenAiHeaders(next.openaiOrganization, next.openaiProject);
   }
 
-  function resolveAuthHeadersForConversation(conversationId) {
-    const convId =
-      conversationId ||
-      extractConversationIdFromUrl(window.location.href) ||
-      "unknown";
-    const scoped = state.convIdToRequestHeaders.get(convId) || null;
+  function readSettingsForm() {
+    const panel = ensureSettingsPanel();
+    const raw = {};
+    for (const field of SETTINGS_SCHEMA) {
+      const input = panel.querySelector(
+        `[data-oci-setting="${escapeAttrValue(`${field.section}.${field.key}`)}"]`
+      );
+      raw[field.section] = raw[field.section] || {};
+      if (field.type === "boolean") {
+        raw[field.section][field.key] = input.checked;
+      } else if (field.type === "number") {
+        raw[field.section][field.key] = input.value.trim() === "" ? NaN : Number(input.value);
+      } else {
+        raw[field.section][field.key] = input.value;
+      }
+    }
+    return raw;
+  }
 
-    const headers = {};
-    const scopedAuth = scoped?.authorization || null;
-    const scopedOrg = scoped?.openaiOrganization || null;
-    const scopedProject = scoped?.openaiProject || null;
+  function commitSettings(raw) {
+    const { settings, errors } = validateSettings(raw);
+    if (errors.length > 0) {
+      setSettingsStatus(errors.join("\n"), true);
+      return false;
+    }
+    const cacheWasEnabled = CONFIG.CACHE.enabled;
+    fillSettingsForm(settings);
+    applySettings(settings);
+    const saved = writeStoredSettings(settings);
+    setSettingsStatus(saved ? "Settings saved." : "Applied, but localStorage is unavailable.");
+    if (
+      cacheWasEnabled &&
+      !settings.CACHE.enabled &&
+      window.confirm("Cache switched off. Also delete the links and conversation indexes already stored in this browser?")
+    ) {
+      clearStoredCache();
+    }
+    return true;
+  }
 
-    if (scopedAuth) {
-      headers.Authorization = scopedAuth;
-    } else if (state.authBearerToken) {
-      headers.Authorization = `Bearer ${state.authBearerToken}`;
+  async function clearStoredCache() {
+    try {
+      const deleted = await clearCache();
+      setSettingsStatus(
+        deleted ? "Image cache cleared." : "Resolved links cleared; IndexedDB is unavailable on this page."
+      );
+    } catch (error) {
+      setSettingsStatus(`Clearing the cache failed: ${error?.message || error}`, true);
     }
+  }
 
-    if (scopedOrg) {
-      headers["OpenAI-Organization"] = scopedOrg;
-    } else if (state.openaiOrganization) {
-      headers["OpenAI-Organization"] = state.openaiOrganization;
+  function setSettingsStatus(message, isError = false) {
+    const status = ensureSettingsPanel().querySelector(".oci-settings-status");
+    status.textContent = message;
+    status.classList.toggle("oci-invalid", isError);
+  }
+
+  function toggleSettingsPanel(force) {
+    const panel = ensureSettingsPanel();
+    const open = typeof force === "boolean" ? force : panel.hidden;
+    if (open) {
+      fillSettingsForm(pickSettings(CONFIG));
+      setSettingsStatus("");
     }
+    panel.hidden = !open;
+    addToolbarButton("settings", "⚙", "Image renderer settings", () => toggleSettingsPanel())
+      .setAttribute("aria-pressed", String(open));
+  }
 
-    if (scopedProject) {
-      headers["OpenAI-Project"] = scopedProject;
-    } else if (state.openaiProject) {
-      headers["OpenAI-Project"] = state.openaiProject;
+  function ensureGallery() {
+    if (state.gallery) {
+      return state.gallery;
     }
+    const root = document.createElement("aside");
+    root.id = "oci-gallery";
+    root.className = "oci-gallery";
+    root.hidden = true;
+    root.setAttribute("aria-label", "Conversation image gallery");
 
-    return headers;
+    const header = document.createElement("div");
+    header.className = "oci-gallery-header";
+    const title = document.createElement("h3");
+    title.className = "oci-global-title";
+    const close = document.createElement("button");
+    close.type = "button";
+    close.className = "oci-retry";
+    close.textContent = "Close";
+    close.addEventListener("click", () => toggleGallery(false));
+    header.append(title, close);
+
+    const filters = document.createElement("div");
+    filters.className = "oci-gallery-filters";
+    filters.addEventListener("change", (event) => {
+      const input = event.target;
+      if (!(input instanceof HTMLInputElement)) {
+        return;
+      }
+      const type = input.getAttribute("data-oci-filter");
+      if (input.checked) {
+        state.gallery.hiddenTypes.delete(type);
+      } else {
+        state.gallery.hiddenTypes.add(type);
+      }
+      renderGallery(true);
+    });
+
+    const status = document.createElement("div");
+    status.className = "oci-gallery-status";
+
+    const body = document.createElement("div");
+    body.className = "oci-gallery-body";
+
+    root.append(header, filters, status, body);
+    document.body.appendChild(root);
+    state.gallery = {
+      root,
+      title,
+      filters,
+      status,
+      body,
+      hiddenTypes: new Set(),
+      signature: "",
+    };
+    return state.gallery;
   }
 
-  function escapeAttrValue(value) {
-    const v = String(value);
-    if (typeof CSS !== "undefined" && typeof CSS.escape === "function") {
-      return CSS.escape(v);
+  function toggleGallery(force) {
+    const gallery = ensureGallery();
+    const open = typeof force === "boolean" ? force : gallery.root.hidden;
+    gallery.root.hidden = !open;
+    if (open) {
+      if (state.diagnosticsPanel && !state.diagnosticsPanel.root.hidden) {
+        toggleDiagnosticsPanel(false);
+      }
+      renderGallery(true);
     }
-    return v.replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+    addToolbarButton("gallery", "Gallery", "Show every image in this conversation", () => toggleGallery())
+      .setAttribute("aria-pressed", String(open));
   }
 
-  async function resolveFileImage(fileId, conversationId) {
-    if (!fileId) {
-      throw new Error("Missing file_id");
+  function refreshGalleryIfOpen() {
+    if (state.gallery && !state.gallery.root.hidden) {
+      renderGallery(false);
     }
+  }
 
-    if (state.fileIdToResolvedSrc.has(fileId)) {
-      return state.fileIdToResolvedSrc.get(fileId);
+  function renderGallery(force) {
+    const gallery = ensureGallery();
+    const candidates = collectCandidatesFromMessages(getCurrentConversationMessages()).filter(
+      isImageCandidate
+    );
+    const keyed = candidates.map((candidate) => ({
+      candidate,
+      key: sourceKey(
+        candidate.message.messageId,
+        candidate.sourceType,
+        candidate.sourceValue
+      ),
+    }));
+    const signature = keyed.map((entry) => entry.key).join("\n");
+    if (!force && signature === gallery.signature) {
+      return;
     }
+    gallery.signature = signature;
 
-    if (state.fileIdToObjectUrl.has(fileId)) {
-      return state.fileIdToObjectUrl.get(fileId);
+    const typeCounts = new Map();
+    for (const { candidate } of keyed) {
+      typeCounts.set(candidate.sourceType, (typeCounts.get(candidate.sourceType) || 0) + 1);
+    }
+    gallery.filters.innerHTML = "";
+    for (const [type, count] of typeCounts) {
+      const label = document.createElement("label");
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.checked = !gallery.hiddenTypes.has(type);
+      input.setAttribute("data-oci-filter", type);
+      const text = document.createElement("span");
+      text.textContent = `${SOURCE_TYPE_LABELS[type] || type} (${count})`;
+      label.append(input, text);
+      gallery.filters.appendChild(label);
     }
 
-    const now = Date.now();
-    const retryAfter = state.fileIdRetryAfterMs.get(fileId) || 0;
-    if (retryAfter > now) {
-      throw new Error(
-        `Temporarily cooling down retries for ${fileId} until ${new Date(retryAfter).toISOString()}`
-      );
+    const visible = keyed.filter(({ candidate }) => !gallery.hiddenTypes.has(candidate.sourceType));
+    gallery.title.textContent = `Conversation images (${visible.length} of ${keyed.length})`;
+    gallery.status.textContent = keyed.length === 0 ? "No images captured for this conversation yet." : "";
+
+    const groups = new Map();
+    for (const entry of visible) {
+      const { message } = entry.candidate;
+      const groupKey = `${message.responseId || ""}::${message.role}`;
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, { responseId: message.responseId, role: message.role, entries: [] });
+      }
+      groups.get(groupKey).entries.push(entry);
+    }
+
+    for (const thumb of gallery.body.querySelectorAll(".oci-gallery-thumb")) {
+      cancelLazyWait(thumb);
+    }
+    gallery.body.innerHTML = "";
+    for (const group of groups.values()) {
+      const section = document.createElement("section");
+      section.className = "oci-gallery-group";
+      const heading = document.createElement("h4");
+      heading.textContent = `${group.responseId || "No response id"} · ${group.role}`;
+      const grid = document.createElement("div");
+      grid.className = "oci-gallery-grid";
+      for (const entry of group.entries) {
+        grid.appendChild(createGalleryThumb(entry.candidate, entry.key));
+      }
+      section.append(heading, grid);
+      gallery.body.appendChild(section);
+    }
+  }
+
+  function createGalleryThumb(candidate, key) {
+    const thumb = document.createElement("button");
+    thumb.type = "button";
+    thumb.className = "oci-gallery-thumb";
+    thumb.title = candidate.caption || candidate.sourceValue;
+    const img = document.createElement("img");
+    img.loading = "lazy";
+    img.decoding = "async";
+    img.alt = candidate.alt || candidate.caption || "Conversation image";
+    if (candidate.fileId) {
+      // Lets the signed URL refresh reach the thumbnail too.
+      img.setAttribute("data-oci-file-id", candidate.fileId);
+      img.addEventListener("load", () => {
+        delete img.dataset.ociReloaded;
+      });
+      img.addEventListener("error", async () => {
+        if (img.dataset.ociReloaded === "1") {
+          thumb.classList.add("oci-unavailable");
+          return;
+        }
+        img.dataset.ociReloaded = "1";
+        invalidateResolvedFile(candidate.fileId);
+        try {
+          const freshSrc = await candidate.resolver({ anchor: thumb });
+          if (freshSrc && freshSrc !== img.src) {
+            img.src = freshSrc;
+            return;
+          }
+        } catch (error) {
+          log("Re-resolving expired thumbnail failed", key, error);
+        }
+        thumb.classList.add("oci-unavailable");
+      });
     }
+    const cap = document.createElement("span");
+    cap.textContent = SOURCE_TYPE_LABELS[candidate.sourceType] || candidate.sourceType;
+    thumb.append(img, cap);
 
-    if (state.fileIdInFlight.has(fileId)) {
-      return state.fileIdInFlight.get(fileId);
+    const rendered = document.querySelector(
+      `[data-oci-card="${escapeAttrValue(key)}"] img`
+    );
+    if (rendered instanceof HTMLImageElement && rendered.src) {
+      img.src = rendered.currentSrc || rendered.src;
+    } else {
+      // Only thumbnails scrolled into the panel request a download link.
+      waitForNearViewport(thumb)
+        .then(async (visible) => {
+          if (!visible || !thumb.isConnected) {
+            return;
+          }
+          const src = await candidate.resolver({ anchor: thumb });
+          if (src) {
+            img.src = src;
+          } else {
+            thumb.classList.add("oci-unavailable");
+          }
+        })
+        .catch((error) => {
+          thumb.classList.add("oci-unavailable");
+          log("Gallery thumbnail unavailable", key, error);
+        });
     }
 
-    const request = (async () => {
-      const endpoint = safeFileEndpoint(
-        CONFIG.API.internalDownloadLinkTemplate,
-        fileId
-      );
-      const headers = resolveAuthHeadersForConversation(conversationId);
+    thumb.addEventListener("click", () => {
+      if (!focusMessageBlock(key, candidate.message.messageId)) {
+        state.gallery.status.textContent =
+          "That message block is not on the page yet. Scroll the log to load it, then try again.";
+      }
+    });
+    return thumb;
+  }
 
-      let signedUrl = null;
+  function readAnchorOverrides() {
+    if (!state.anchorOverrides) {
       try {
-        const linkResponse = await fetch(endpoint, {
-          credentials: "omit",
-          headers,
-        });
-        if (!linkResponse.ok) {
-          throw new Error(`Download link request failed with status ${linkResponse.status}`);
-        }
-        const payload = await linkResponse.json();
-        if (!payload || typeof payload.url !== "string" || !/^https?:\/\//i.test(payload.url)) {
-          throw new Error("Download link response missing a valid signed URL.");
-        }
-        signedUrl = payload.url;
+        const raw = localStorage.getItem(CONFIG.STORAGE.anchorsKey);
+        state.anchorOverrides = raw ? JSON.parse(raw) : {};
       } catch (error) {
-        log("Download link fetch failed", endpoint, error);
-        const err = new Error(`No download link endpoint succeeded for ${fileId}`);
-        state.fileIdToError.set(fileId, err.message);
-        state.fileIdRetryAfterMs.set(fileId, Date.now() + 30_000);
-        throw err;
+        log("Stored placement overrides unreadable", error);
+        state.anchorOverrides = {};
       }
+    }
+    return state.anchorOverrides;
+  }
 
-      // Do not fetch the signed URL via JS fetch: platform CSP blocks connect-src
-      // to Azure blob hosts. Let the browser load it directly through <img src>.
-      state.fileIdToResolvedSrc.set(fileId, signedUrl);
-      state.fileIdToError.delete(fileId);
-      state.fileIdRetryAfterMs.delete(fileId);
-      return signedUrl;
-
-      const err = new Error(`Failed to resolve image content for ${fileId}`);
-      state.fileIdToError.set(fileId, err.message);
-      state.fileIdRetryAfterMs.set(fileId, Date.now() + 30_000);
-      throw err;
-    })();
+  function getAnchorOverride(conversationId, messageId) {
+    return readAnchorOverrides()[conversationId || "unknown"]?.[messageId] || null;
+  }
 
-    state.fileIdInFlight.set(fileId, request);
+  function setAnchorOverride(conversationId, messageId, target) {
+    const overrides = readAnchorOverrides();
+    const convKey = conversationId || "unknown";
+    if (target) {
+      overrides[convKey] = { ...overrides[convKey], [messageId]: target };
+    } else if (overrides[convKey]) {
+      delete overrides[convKey][messageId];
+      if (Object.keys(overrides[convKey]).length === 0) {
+        delete overrides[convKey];
+      }
+    }
     try {
-      return await request;
-    } finally {
-      state.fileIdInFlight.delete(fileId);
+      localStorage.setItem(CONFIG.STORAGE.anchorsKey, JSON.stringify(overrides));
+    } catch (error) {
+      log("Placement override could not be saved", error);
     }
   }
 
-  function ensureMessageMount(containerElement, messageId, allowGlobalFallback = true) {
-    const host = containerElement || (allowGlobalFallback ? ensureGlobalGallery() : null);
-    if (!host) {
-      return null;
-    }
-    let root = host.querySelector(
-      `[data-oci-root="${escapeAttrValue(messageId)}"]`
-    );
-    if (!root) {
-      root = document.createElement("div");
-      root.className = "oci-images";
-      root.setAttribute("data-oci-root", messageId);
-      host.appendChild(root);
+  function listAnchorTargets() {
+    const targets = [];
+    const seen = new Set();
+    for (const msg of getCurrentConversationMessages()) {
+      if (!msg.responseId || seen.has(msg.responseId)) {
+        continue;
+      }
+      seen.add(msg.responseId);
+      for (const block of readResponseBlocks(findResponseCardByResponseId(msg.responseId))) {
+        targets.push({ responseId: msg.responseId, blockIdx: block.idx, role: block.role, bodyText: block.bodyText, el: block.el });
+      }
     }
-    return root;
+    return targets;
   }
 
-  function ensureGlobalGallery() {
-    let box = document.querySelector("#oci-global-gallery");
-    if (!box) {
-      box = document.createElement("section");
-      box.id = "oci-global-gallery";
-      box.className = "oci-global-gallery";
-      const title = document.createElement("h3");
-      title.className = "oci-global-title";
-      title.textContent = "Conversation Images";
-      box.appendChild(title);
-      const main = document.querySelector("main");
-      if (main) {
-        main.prepend(box);
-      } else {
-        document.body.prepend(box);
+  function resolveAnchorTarget(target) {
+    const blocks = readResponseBlocks(findResponseCardByResponseId(target?.responseId));
+    return blocks.find((block) => block.idx === target.blockIdx)?.el || null;
+  }
+
+  function moveMessageImages(messageId, target) {
+    const conversationId = getCurrentConversationId();
+    setAnchorOverride(conversationId, messageId, target);
+    const root = document.querySelector(`[data-oci-root="${escapeAttrValue(messageId)}"]`);
+    const container = target ? resolveAnchorTarget(target) : null;
+    if (root && container) {
+      container.appendChild(root);
+      state.messageIdToContainer.set(messageId, container);
+      highlightElement(container);
+    } else if (root && !target) {
+      // Let the automatic matcher place the images again.
+      root.remove();
+      for (const key of Array.from(state.renderedSourceKeys)) {
+        if (key.startsWith(`${messageId}::`)) {
+          state.renderedSourceKeys.delete(key);
+        }
       }
     }
-    return box;
+    enqueueRoot(document);
   }
 
-  function appendImageCard(mount, sourceKeyValue, src, caption) {
-    if (
-      mount.querySelector(`[data-oci-card="${escapeAttrValue(sourceKeyValue)}"]`)
-    ) {
-      return;
+  function closeMovePicker() {
+    document.querySelector("#oci-move-picker")?.remove();
+    document.removeEventListener("keydown", onMovePickerKeydown, true);
+  }
+
+  function onMovePickerKeydown(event) {
+    if (event.key === "Escape") {
+      event.preventDefault();
+      closeMovePicker();
     }
-    const card = document.createElement("div");
-    card.className = "oci-image-card";
-    card.setAttribute("data-oci-card", sourceKeyValue);
+  }
 
-    const img = document.createElement("img");
-    img.loading = "lazy";
-    img.decoding = "async";
-    img.src = src;
-    img.alt = caption || "Conversation image";
-    card.appendChild(img);
+  function openMovePicker(card, messageId) {
+    closeMovePicker();
+    const picker = document.createElement("div");
+    picker.id = "oci-move-picker";
+    picker.className = "oci-move-picker";
+    picker.setAttribute("role", "dialog");
+    picker.setAttribute("aria-label", "Move images to message block");
+    const title = document.createElement("strong");
+    title.textContent = "Move this message's images to…";
+    picker.appendChild(title);
 
-    if (CONFIG.UI.showCaption) {
-      const cap = document.createElement("div");
-      cap.className = "oci-caption";
-      cap.textContent = caption || src;
-      card.appendChild(cap);
+    const current = getAnchorOverride(getCurrentConversationId(), messageId);
+    const here = card.closest("[data-oci-root]")?.parentElement;
+    for (const target of listAnchorTargets()) {
+      const option = document.createElement("button");
+      option.type = "button";
+      const snippet = target.bodyText ? ` — ${target.bodyText.slice(0, 60)}` : " — (no text)";
+      option.textContent = `${target.responseId} · #${target.blockIdx + 1} ${target.role}${snippet}`;
+      option.disabled = target.el === here;
+      option.addEventListener("click", () => {
+        closeMovePicker();
+        moveMessageImages(messageId, { responseId: target.responseId, blockIdx: target.blockIdx });
+      });
+      picker.appendChild(option);
+    }
+    const footer = document.createElement("div");
+    footer.className = "oci-move-picker-footer";
+    if (current) {
+      const reset = document.createElement("button");
+      reset.type = "button";
+      reset.className = "oci-retry";
+      reset.textContent = "Reset to automatic placement";
+      reset.addEventListener("click", () => {
+        closeMovePicker();
+        moveMessageImages(messageId, null);
+      });
+      footer.appendChild(reset);
     }
+    const cancel = document.createElement("button");
+    cancel.type = "button";
+    cancel.className = "oci-retry";
+    cancel.textContent = "Cancel";
+    cancel.addEventListener("click", () => closeMovePicker());
+    footer.appendChild(cancel);
+    picker.appendChild(footer);
 
-    mount.appendChild(card);
+    document.body.appendChild(picker);
+    document.addEventListener("keydown", onMovePickerKeydown, true);
+    picker.querySelector("button:not(:disabled)")?.focus();
   }
 
-  function appendErrorBadge(mount, sourceKeyValue, label, onRetry) {
-    let box = mount.querySelector(
-      `[data-oci-error="${escapeAttrValue(sourceKeyValue)}"]`
-    );
-    if (!box) {
-      box = document.createElement("div");
-      box.className = "oci-error";
-      box.setAttribute("data-oci-error", sourceKeyValue);
-      mount.appendChild(box);
-    } else {
-      box.innerHTML = "";
+  function enableCardDragging(card, messageId) {
+    card.draggable = true;
+    card.addEventListener("dragstart", (event) => {
+      event.dataTransfer.setData("text/plain", messageId);
+      event.dataTransfer.effectAllowed = "move";
+      const here = card.closest("[data-oci-root]")?.parentElement;
+      state.dragTargets = listAnchorTargets().filter((target) => target.el !== here);
+      for (const target of state.dragTargets) {
+        target.el.classList.add("oci-drop-target");
+        target.el.addEventListener("dragover", onAnchorDragOver);
+        target.el.addEventListener("dragleave", onAnchorDragLeave);
+        target.el.addEventListener("drop", onAnchorDrop);
+      }
+      state.dragMessageId = messageId;
+    });
+    card.addEventListener("dragend", () => clearDragTargets());
+  }
+
+  function clearDragTargets() {
+    for (const target of state.dragTargets) {
+      target.el.classList.remove("oci-drop-target", "oci-drop-hover");
+      target.el.removeEventListener("dragover", onAnchorDragOver);
+      target.el.removeEventListener("dragleave", onAnchorDragLeave);
+      target.el.removeEventListener("drop", onAnchorDrop);
     }
+    state.dragTargets = [];
+    state.dragMessageId = null;
+  }
 
-    const text = document.createElement("span");
-    text.textContent = label;
-    box.appendChild(text);
+  function onAnchorDragOver(event) {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = "move";
+    event.currentTarget.classList.add("oci-drop-hover");
+  }
 
-    const retry = document.createElement("button");
-    retry.type = "button";
-    retry.className = "oci-retry";
-    retry.textContent = "Retry";
-    retry.addEventListener("click", onRetry);
-    box.appendChild(retry);
+  function onAnchorDragLeave(event) {
+    event.currentTarget.classList.remove("oci-drop-hover");
   }
 
-  function appendNote(mount, sourceKeyValue, noteText) {
-    if (
-      mount.querySelector(`[data-oci-note="${escapeAttrValue(sourceKeyValue)}"]`)
-    ) {
-      return;
+  function onAnchorDrop(event) {
+    event.preventDefault();
+    const target = state.dragTargets.find((entry) => entry.el === event.currentTarget);
+    const messageId = state.dragMessageId;
+    clearDragTargets();
+    if (target && messageId) {
+      moveMessageImages(messageId, { responseId: target.responseId, blockIdx: target.blockIdx });
     }
-    const note = document.createElement("div");
-    note.className = "oci-note";
-    note.setAttribute("data-oci-note", sourceKeyValue);
-    note.textContent = noteText;
-    mount.appendChild(note);
   }
 
-  function collectCandidatesFromMessages(messages) {
-    const candidates = [];
-    for (let i = 0; i < messages.length; i += 1) {
-      const msg = messages[i];
-      for (const content of msg.contentItems) {
-        if (content?.type === "input_image") {
-          if (content.image_url && /^https?:\/\//i.test(content.image_url)) {
-            candidates.push({
-              message: msg,
-              sourceType: "input_image_url",
-              sourceValue: content.image_url,
-              caption: content.image_url,
-              resolver: async () => content.image_url,
-            });
-          } else if (
-            CONFIG.FEATURE_FLAGS.renderInputImageByFileId &&
-            content.file_id
-          ) {
-            const fileId = content.file_id;
-            candidates.push({
-              message: msg,
-              sourceType: "input_image_file",
-              sourceValue: fileId,
-              caption: fileId,
-              resolver: async () => resolveFileImage(fileId, msg.conversationId),
-            });
-          }
-          continue;
-        }
+  function noteDiagnostic(key, patch) {
+    state.diagnostics.set(key, { ...state.diagnostics.get(key), ...patch, updatedAt: Date.now() });
+    scheduleDiagnosticsRefresh();
+  }
 
-        if (
-          CONFIG.FEATURE_FLAGS.renderMarkdownImages &&
-          content?.type === "output_text" &&
-          typeof content.text === "string"
-        ) {
-          const urls = extractMarkdownImages(content.text);
-          for (const url of urls) {
-            candidates.push({
-              message: msg,
-              sourceType: "markdown",
-              sourceValue: url,
-              caption: url,
-              resolver: async () => url,
-            });
-          }
-          continue;
-        }
+  const scheduleDiagnosticsRefresh = debounce(() => refreshDiagnosticsIfOpen(), 250);
 
-        if (
-          CONFIG.FEATURE_FLAGS.renderAnnotatedImagePlaceholder &&
-          content?.type === "input_text" &&
-          typeof content.text === "string" &&
-          content.text.includes("[ANNOTATED_IMAGE]")
-        ) {
-          const linked = findNearbyInputImage(messages, i);
-          const markerValue = linked?.file_id || linked?.image_url || "missing";
-          candidates.push({
-            message: msg,
-            sourceType: "annotated_note",
-            sourceValue: markerValue,
-            caption: "Annotated image reference",
-            resolver: async () => {
-              if (linked?.image_url && /^https?:\/\//i.test(linked.image_url)) {
-                return linked.image_url;
-              }
-              if (linked?.file_id) {
-                return resolveFileImage(linked.file_id, msg.conversationId);
-              }
-              return null;
-            },
-            fallbackNote: linked
-              ? "Annotated image placeholder matched to nearby input_image."
-              : "Annotated image placeholder detected but no nearby input_image found.",
-          });
-        }
-      }
+  function ensureDiagnosticsPanel() {
+    if (state.diagnosticsPanel) {
+      return state.diagnosticsPanel;
     }
-    return candidates;
+    const root = document.createElement("aside");
+    root.id = "oci-diagnostics";
+    root.className = "oci-gallery oci-diagnostics";
+    root.hidden = true;
+    root.setAttribute("aria-label", "Image placement diagnostics");
+
+    const header = document.createElement("div");
+    header.className = "oci-gallery-header";
+    const title = document.createElement("h3");
+    title.className = "oci-global-title";
+    title.textContent = "Image diagnostics";
+    const close = document.createElement("button");
+    close.type = "button";
+    close.className = "oci-retry";
+    close.textContent = "Close";
+    close.addEventListener("click", () => toggleDiagnosticsPanel(false));
+    header.append(title, close);
+
+    const summary = document.createElement("div");
+    summary.className = "oci-gallery-status";
+
+    const body = document.createElement("div");
+    body.className = "oci-gallery-body";
+    const table = document.createElement("table");
+    table.className = "oci-diagnostics-table";
+    const head = table.createTHead().insertRow();
+    for (const label of ["Source", "Match", "Resolution", ""]) {
+      const th = document.createElement("th");
+      th.textContent = label;
+      head.appendChild(th);
+    }
+    table.createTBody();
+    body.appendChild(table);
+
+    root.append(header, summary, body);
+    document.body.appendChild(root);
+    state.diagnosticsPanel = { root, summary, body, table, rows: new Map() };
+    return state.diagnosticsPanel;
   }
 
-  function findNearbyInputImage(messages, idx) {
-    const maxDistance = 3;
-    for (let dist = 0; dist <= maxDistance; dist += 1) {
-      const before = messages[idx - dist];
-      const after = messages[idx + dist];
-      const beforeHit = before?.contentItems?.find((c) => c?.type === "input_image");
-      if (beforeHit) {
-        return beforeHit;
-      }
-      const afterHit = after?.contentItems?.find((c) => c?.type === "input_image");
-      if (afterHit) {
-        return afterHit;
+  function toggleDiagnosticsPanel(force) {
+    const panel = ensureDiagnosticsPanel();
+    const open = typeof force === "boolean" ? force : panel.root.hidden;
+    panel.root.hidden = !open;
+    if (open) {
+      // Both panels dock in the same spot on the right.
+      if (state.gallery && !state.gallery.root.hidden) {
+        toggleGallery(false);
       }
+      renderDiagnosticsPanel();
     }
-    return null;
+    addToolbarButton("diagnostics", "Diagnostics", "Explain where each image was placed", () => toggleDiagnosticsPanel())
+      .setAttribute("aria-pressed", String(open));
   }
 
-  function signatureForPayload(payload, conversationId) {
-    const first = payload?.first_id || "";
-    const last = payload?.last_id || "";
-    const len = Array.isArray(payload?.data) ? payload.data.length : 0;
-    return `${conversationId || "unknown"}::${first}::${last}::${len}`;
+  function refreshDiagnosticsIfOpen() {
+    if (state.diagnosticsPanel && !state.diagnosticsPanel.root.hidden) {
+      renderDiagnosticsPanel();
+    }
   }
 
-  function captureItemsPayload(payload, requestUrl) {
-    if (!payload || payload.object !== "list" || !Array.isArray(payload.data)) {
-      return;
-    }
-    const conversationId = extractConversationIdFromUrl(requestUrl) || extractConversationIdFromUrl(window.location.href);
-    const signature = signatureForPayload(payload, conversationId);
-    if (state.seenPayloadSignatures.has(signature)) {
-      return;
+  function describeResolution(candidate, diagnostic) {
+    const parts = [diagnostic?.status || "not mounted"];
+    if (Number.isFinite(diagnostic?.resolveMs)) {
+      parts.push(`${diagnostic.resolveMs} ms`);
     }
-    state.seenPayloadSignatures.add(signature);
-    const messages = normalizeMessages(payload, null, conversationId);
-    if (messages.length === 0) {
-      return;
+    if (candidate.fileId) {
+      const failures = state.fileIdFailureCount.get(candidate.fileId);
+      if (failures) {
+        parts.push(`${failures} failed link request${failures === 1 ? "" : "s"}`);
+      }
+      const retryAfter = state.fileIdRetryAfterMs.get(candidate.fileId) || 0;
+      if (retryAfter > Date.now()) {
+        parts.push(`cooling down until ${new Date(retryAfter).toLocaleTimeString()}`);
+      }
+      const expiresAt = state.fileIdToExpiresAtMs.get(candidate.fileId);
+      if (expiresAt) {
+        parts.push(`link expires ${new Date(expiresAt).toLocaleString()}`);
+      }
     }
-    const existing = state.convIdToMessages.get(conversationId || "unknown") || [];
-    const byMessageId = new Map(existing.map((m) => [m.messageId, m]));
-    for (const msg of messages) {
-      byMessageId.set(msg.messageId, msg);
+    if (diagnostic?.error) {
+      parts.push(diagnostic.error);
     }
-    state.convIdToMessages.set(conversationId || "unknown", Array.from(byMessageId.values()));
-    enqueueRoot(document);
+    return parts.join(" · ");
   }
 
-  function isDashboardItemsRequest(urlLike) {
-    try {
-      const url = new URL(urlLike, window.location.origin);
-      return CONFIG.API.dashboardItemsPathRegex.test(url.pathname);
-    } catch (_error) {
-      return false;
+  function renderDiagnosticsPanel() {
+    const panel = ensureDiagnosticsPanel();
+    const conversationId = getCurrentConversationId();
+    const messages = getCurrentConversationMessages();
+    const candidates = collectCandidatesFromMessages(messages);
+    const pages = state.convIdToPages.get(conversationId);
+    panel.summary.textContent =
+      messages.length === 0
+        ? `No items payload captured for ${conversationId || "this page"} yet.`
+        : [
+            `${conversationId}: ${messages.length} messages`,
+            pages ? `${pages.byCursor.size + pages.loose.length} item pages` : "restored from cache",
+            `${candidates.length} candidates`,
+            `selector strategy: ${state.lastDomStrategy || "none yet"}`,
+          ].join(" · ");
+
+    // Rows are patched in place so scroll position survives the frequent refreshes.
+    const tbody = panel.table.tBodies[0];
+    const seen = new Set();
+    for (const candidate of candidates) {
+      const key = sourceKey(candidate.message.messageId, candidate.sourceType, candidate.sourceValue);
+      if (seen.has(key)) {
+        continue;
+      }
+      let entry = panel.rows.get(key);
+      if (!entry) {
+        entry = createDiagnosticsRow(candidate, key);
+        panel.rows.set(key, entry);
+      }
+      const trace = state.matchTraces.get(candidate.message.messageId);
+      setTextIfChanged(
+        entry.match,
+        trace ? [trace.path, trace.strategy].filter(Boolean).join(" via ") : "not matched yet"
+      );
+      setTextIfChanged(entry.resolution, describeResolution(candidate, state.diagnostics.get(key)));
+      entry.target = trace?.target;
+      entry.highlight.disabled = !(entry.target instanceof Element && entry.target.isConnected);
+      const expected = tbody.rows[seen.size];
+      if (expected !== entry.row) {
+        tbody.insertBefore(entry.row, expected || null);
+      }
+      seen.add(key);
+    }
+    for (const [key, entry] of panel.rows) {
+      if (!seen.has(key)) {
+        entry.row.remove();
+        panel.rows.delete(key);
+      }
     }
+    panel.table.hidden = seen.size === 0;
   }
 
-  function patchNetworkCapture() {
-    if (state.apiPatched) {
-      return;
-    }
-    state.apiPatched = true;
+  function createDiagnosticsRow(candidate, key) {
+    const row = document.createElement("tr");
+    const source = row.insertCell();
+    const type = document.createElement("strong");
+    type.textContent = SOURCE_TYPE_LABELS[candidate.sourceType] || candidate.sourceType;
+    const keyText = document.createElement("code");
+    keyText.textContent = key.length > 120 ? `${key.slice(0, 117)}…` : key;
+    keyText.title = key;
+    source.append(type, document.createElement("br"), keyText);
+    const match = row.insertCell();
+    const resolution = row.insertCell();
+    const action = row.insertCell();
+    const highlight = document.createElement("button");
+    highlight.type = "button";
+    highlight.className = "oci-retry";
+    highlight.textContent = "Highlight target";
+    const entry = { row, match, resolution, highlight, target: null };
+    highlight.addEventListener("click", () => highlightElement(entry.target));
+    action.appendChild(highlight);
+    return entry;
+  }
 
-    const originalFetch = window.fetch.bind(window);
-    window.fetch = async (...args) => {
-      captureBearerFromFetchArgs(args);
-      const response = await originalFetch(...args);
-      try {
-        const input = args[0];
-        const requestUrl =
-          typeof input === "string"
-            ? input
-            : input instanceof Request
-              ? input.url
-              : "";
-        const requestHeaders = {};
-        if (input instanceof Request) {
-          requestHeaders.authorization = input.headers.get("authorization");
-          requestHeaders["openai-organization"] = input.headers.get("openai-organization");
-          requestHeaders["openai-project"] = input.headers.get("openai-project");
-        }
-        const init = args[1];
-        if (init && typeof init === "object" && init.headers) {
-          const initAuth = getHeaderValue(init.headers, "authorization");
-          const initOrg = getHeaderValue(init.headers, "openai-organization");
-          const initProject = getHeaderValue(init.headers, "openai-project");
-          if (initAuth) {
-            requestHeaders.authorization = initAuth;
-          }
-          if (initOrg) {
-            requestHeaders["openai-organization"] = initOrg;
-          }
-          if (initProject) {
-            requestHeaders["openai-project"] = initProject;
-          }
-        }
-        captureItemsRequestHeaders(requestUrl, requestHeaders);
-        if (requestUrl && isDashboardItemsRequest(requestUrl)) {
-          const clone = response.clone();
-          clone
-            .json()
-            .then((payload) => captureItemsPayload(payload, requestUrl))
-            .catch((error) => log("Fetch JSON clone parse failed", error));
-        }
-      } catch (error) {
-        log("Fetch interception failed", error);
-      }
-      return response;
-    };
+  function setTextIfChanged(el, text) {
+    if (el.textContent !== text) {
+      el.textContent = text;
+    }
+  }
 
-    const originalOpen = XMLHttpRequest.prototype.open;
-    XMLHttpRequest.prototype.open = function patchedOpen(method, url, ...rest) {
-      this.__ociRequestUrl = typeof url === "string" ? url : "";
-      this.__ociRequestHeaders = {};
-      return originalOpen.call(this, method, url, ...rest);
-    };
+  function locateMessageBlock(message) {
+    const card = findResponseCardByResponseId(message?.responseId);
+    if (!card) {
+      return null;
+    }
+    const role = String(message.role || "").toLowerCase();
+    const siblings = getCurrentConversationMessages().filter(
+      (msg) => msg.responseId === message.responseId && String(msg.role || "").toLowerCase() === role
+    );
+    const blocks = readResponseBlocks(card).filter((block) => block.role === role);
+    return blocks[siblings.indexOf(message)]?.el || card;
+  }
 
-    const originalSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader;
-    XMLHttpRequest.prototype.setRequestHeader = function patchedSetRequestHeader(name, value) {
-      try {
-        const key = String(name || "").toLowerCase();
-        if (key) {
-          this.__ociRequestHeaders = this.__ociRequestHeaders || {};
-          this.__ociRequestHeaders[key] = String(value || "");
-          if (key === "authorization") {
-            rememberBearerToken(String(value || ""));
-          } else if (key === "openai-organization") {
-            rememberOpenAiHeaders(String(value || ""), null);
-          } else if (key === "openai-project") {
-            rememberOpenAiHeaders(null, String(value || ""));
-          }
+  function focusMessageBlock(key, messageId, message) {
+    const card = document.querySelector(`[data-oci-card="${escapeAttrValue(key)}"]`);
+    const mount = card?.closest("[data-oci-root]");
+    const target =
+      mount?.parentElement ||
+      state.messageIdToContainer.get(messageId) ||
+      findContainerForMessage(messageId) ||
+      (message ? locateMessageBlock(message) : null);
+    return highlightElement(target);
+  }
+
+  function highlightElement(target) {
+    if (!(target instanceof Element) || !target.isConnected) {
+      return false;
+    }
+    target.scrollIntoView({ behavior: "smooth", block: "center" });
+    target.classList.remove("oci-highlight");
+    // Force a reflow so the highlight animation restarts on repeated clicks.
+    void target.offsetWidth;
+    target.classList.add("oci-highlight");
+    setTimeout(() => target.classList.remove("oci-highlight"), 2400);
+    return true;
+  }
+
+  function ensureFilmstrip() {
+    if (state.filmstrip) {
+      return state.filmstrip;
+    }
+    const root = document.createElement("aside");
+    root.id = "oci-filmstrip";
+    root.className = "oci-filmstrip";
+    root.hidden = true;
+    root.setAttribute("aria-label", "Agent run filmstrip");
+
+    const header = document.createElement("div");
+    header.className = "oci-filmstrip-header";
+    const title = document.createElement("strong");
+    const play = document.createElement("button");
+    play.type = "button";
+    play.className = "oci-retry";
+    play.addEventListener("click", () => {
+      if (state.filmstrip.timer) {
+        stopFilmstripPlayback();
+      } else {
+        startFilmstripPlayback();
+      }
+    });
+    const fpsLabel = document.createElement("label");
+    const fps = document.createElement("input");
+    fps.type = "number";
+    fps.min = "0.25";
+    fps.max = "30";
+    fps.step = "0.25";
+    fps.value = String(CONFIG.UI.filmstripFps);
+    fps.addEventListener("change", () => {
+      const value = Number(fps.value);
+      if (Number.isFinite(value) && value >= 0.25 && value <= 30) {
+        state.filmstrip.fps = value;
+        if (state.filmstrip.timer) {
+          startFilmstripPlayback();
         }
-      } catch (_error) {
-        // ignore capture errors and keep request flow untouched
+      } else {
+        fps.value = String(state.filmstrip.fps);
       }
-      return originalSetRequestHeader.call(this, name, value);
+    });
+    fpsLabel.append("FPS ", fps);
+    const status = document.createElement("span");
+    status.className = "oci-filmstrip-status";
+    const close = document.createElement("button");
+    close.type = "button";
+    close.className = "oci-retry";
+    close.textContent = "Close";
+    close.addEventListener("click", () => toggleFilmstrip(false));
+    const exportButtons = ["gif", "webm"].map((format) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "oci-retry";
+      button.textContent = format === "gif" ? "Export GIF" : "Export WebM";
+      button.title = "Encode the screenshots (with actions and step captions, see settings) into an animation";
+      button.addEventListener("click", () => exportRunAnimation(format));
+      return button;
+    });
+    header.append(title, play, fpsLabel, ...exportButtons, status, close);
+
+    const body = document.createElement("div");
+    body.className = "oci-filmstrip-body";
+    const preview = document.createElement("img");
+    preview.className = "oci-filmstrip-preview";
+    preview.alt = "";
+    const frames = document.createElement("div");
+    frames.className = "oci-filmstrip-frames";
+    body.append(preview, frames);
+
+    root.append(header, body);
+    document.body.appendChild(root);
+    state.filmstrip = {
+      root,
+      title,
+      play,
+      fpsInput: fps,
+      status,
+      preview,
+      frames,
+      entries: [],
+      index: -1,
+      fps: CONFIG.UI.filmstripFps,
+      timer: null,
+      signature: "",
+      exporting: false,
     };
+    updateFilmstripPlayButton();
+    return state.filmstrip;
+  }
 
-    const originalSend = XMLHttpRequest.prototype.send;
-    XMLHttpRequest.prototype.send = function patchedSend(...args) {
-      this.addEventListener("load", function onLoad() {
-        try {
-          const requestUrl = this.__ociRequestUrl || "";
-          captureItemsRequestHeaders(requestUrl, this.__ociRequestHeaders || {});
-          if (!requestUrl || !isDashboardItemsRequest(requestUrl)) {
+  function toggleFilmstrip(force) {
+    const strip = ensureFilmstrip();
+    const open = typeof force === "boolean" ? force : strip.root.hidden;
+    strip.root.hidden = !open;
+    if (open) {
+      strip.fps = CONFIG.UI.filmstripFps;
+      strip.fpsInput.value = String(strip.fps);
+      renderFilmstrip(true);
+    } else {
+      stopFilmstripPlayback();
+      cancelFilmstripFrameWaits(strip);
+    }
+    ensureToolbar().classList.toggle("oci-toolbar-raised", open);
+    addToolbarButton("filmstrip", "Filmstrip", "Show the agent run as a filmstrip", () => toggleFilmstrip())
+      .setAttribute("aria-pressed", String(open));
+  }
+
+  function refreshFilmstripIfOpen() {
+    if (state.filmstrip && !state.filmstrip.root.hidden) {
+      renderFilmstrip(false);
+    }
+  }
+
+  function renderFilmstrip(force) {
+    const strip = ensureFilmstrip();
+    const screenshots = collectScreenshotCandidates(getCurrentConversationMessages());
+    const entries = screenshots.map((candidate) => ({
+      candidate,
+      key: sourceKey(candidate.message.messageId, candidate.sourceType, candidate.sourceValue),
+    }));
+    const signature = entries.map((entry) => entry.key).join("\n");
+    if (!force && signature === strip.signature) {
+      return;
+    }
+    strip.signature = signature;
+    strip.entries = entries;
+    strip.title.textContent = `Agent run (${entries.length} steps)`;
+    strip.status.textContent = entries.length === 0 ? "No computer_call_output screenshots captured yet." : "";
+    cancelFilmstripFrameWaits(strip);
+    strip.frames.innerHTML = "";
+    entries.forEach((entry, index) => {
+      strip.frames.appendChild(createFilmstripFrame(entry, index));
+    });
+    if (strip.index >= entries.length) {
+      strip.index = -1;
+    }
+    if (strip.index >= 0) {
+      selectFilmstripFrame(strip.index, false);
+    }
+  }
+
+  function cancelFilmstripFrameWaits(strip) {
+    for (const frame of strip.frames.children) {
+      cancelLazyWait(frame);
+    }
+  }
+
+  function createFilmstripFrame(entry, index) {
+    const { candidate, key } = entry;
+    const frame = document.createElement("button");
+    frame.type = "button";
+    frame.className = "oci-filmstrip-frame";
+    frame.setAttribute("data-oci-step", String(index));
+    const actionLabel = (candidate.actions || []).map(describeComputerAction).join("; ");
+    frame.title = actionLabel ? `Next: ${actionLabel}` : candidate.caption || "";
+    const img = document.createElement("img");
+    img.loading = "lazy";
+    img.decoding = "async";
+    img.alt = `Step ${index + 1}`;
+    const step = document.createElement("span");
+    step.className = "oci-filmstrip-step";
+    step.textContent = `#${index + 1}`;
+    const label = document.createElement("span");
+    label.className = "oci-filmstrip-action";
+    label.textContent = actionLabel ? `Next: ${actionLabel}` : "screenshot";
+    frame.append(img, step, label);
+
+    const rendered = document.querySelector(`[data-oci-card="${escapeAttrValue(key)}"] img`);
+    if (rendered instanceof HTMLImageElement && rendered.src) {
+      img.src = rendered.currentSrc || rendered.src;
+    } else {
+      // Long runs have hundreds of steps: only frames scrolled into the strip request a download link.
+      waitForNearViewport(frame)
+        .then(async (visible) => {
+          if (!visible || !frame.isConnected) {
             return;
           }
-          const body = this.responseType === "" || this.responseType === "text"
-            ? this.responseText
-            : "";
-          if (!body) {
-            return;
+          const src = await candidate.resolver({ anchor: frame });
+          if (src) {
+            img.src = src;
           }
-          const payload = JSON.parse(body);
-          captureItemsPayload(payload, requestUrl);
-        } catch (error) {
-          log("XHR interception failed", error);
-        }
-      });
-      return originalSend.apply(this, args);
-    };
+        })
+        .catch((error) => log("Filmstrip frame unavailable", key, error));
+    }
+    img.addEventListener("load", () => {
+      if (state.filmstrip?.index === index && !state.filmstrip.preview.getAttribute("src")) {
+        state.filmstrip.preview.src = img.src;
+      }
+    });
 
-    const originalPushState = history.pushState.bind(history);
-    history.pushState = function patchedPushState(...args) {
-      const result = originalPushState(...args);
-      refreshRouteScopedState();
-      enqueueRoot(document);
-      return result;
-    };
+    frame.addEventListener("click", () => {
+      stopFilmstripPlayback();
+      selectFilmstripFrame(index, true);
+    });
+    return frame;
+  }
 
-    const originalReplaceState = history.replaceState.bind(history);
-    history.replaceState = function patchedReplaceState(...args) {
-      const result = originalReplaceState(...args);
-      refreshRouteScopedState();
-      enqueueRoot(document);
-      return result;
-    };
+  function selectFilmstripFrame(index, focusBlock) {
+    const strip = state.filmstrip;
+    const entry = strip?.entries[index];
+    if (!entry) {
+      return;
+    }
+    strip.index = index;
+    for (const frame of strip.frames.children) {
+      frame.classList.toggle("oci-active", frame.getAttribute("data-oci-step") === String(index));
+    }
+    const frame = strip.frames.children[index];
+    const thumb = frame?.querySelector("img");
+    if (thumb?.src) {
+      strip.preview.src = thumb.src;
+    } else {
+      // Filled in by the frame's load handler once it scrolls in and resolves.
+      strip.preview.removeAttribute("src");
+    }
+    strip.preview.alt = `Step ${index + 1}`;
+    frame?.scrollIntoView({ block: "nearest", inline: "center" });
+    if (focusBlock && !focusMessageBlock(entry.key, entry.candidate.message.messageId, entry.candidate.message)) {
+      strip.status.textContent = "That step's message block is not on the page yet. Scroll the log to load it.";
+    } else {
+      strip.status.textContent = `Step ${index + 1} of ${strip.entries.length}`;
+    }
+  }
 
-    window.addEventListener("popstate", () => {
-      refreshRouteScopedState();
-      enqueueRoot(document);
-    });
+  function startFilmstripPlayback() {
+    const strip = state.filmstrip;
+    if (!strip || strip.entries.length === 0) {
+      return;
+    }
+    clearInterval(strip.timer);
+    if (strip.index < 0 || strip.index >= strip.entries.length - 1) {
+      selectFilmstripFrame(0, false);
+    }
+    strip.timer = setInterval(() => {
+      if (strip.index >= strip.entries.length - 1) {
+        stopFilmstripPlayback();
+        return;
+      }
+      selectFilmstripFrame(strip.index + 1, false);
+    }, 1000 / strip.fps);
+    updateFilmstripPlayButton();
+  }
 
-    window.addEventListener("hashchange", () => {
-      refreshRouteScopedState();
-      enqueueRoot(document);
+  function stopFilmstripPlayback() {
+    const strip = state.filmstrip;
+    if (!strip) {
+      return;
+    }
+    clearInterval(strip.timer);
+    strip.timer = null;
+    updateFilmstripPlayButton();
+  }
+
+  function updateFilmstripPlayButton() {
+    const strip = state.filmstrip;
+    strip.play.textContent = strip.timer ? "Pause" : "Play";
+    strip.play.setAttribute("aria-pressed", String(Boolean(strip.timer)));
+  }
+
+  function escapeHtml(value) {
+    return String(value ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  function loadImageElement(src, crossOrigin) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      if (crossOrigin) {
+        img.crossOrigin = crossOrigin;
+      }
+      img.decoding = "async";
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error(`Image failed to load: ${src}`));
+      img.src = src;
     });
   }
 
-  function findContainerForMessage(messageId) {
-    if (!messageId) {
-      return null;
+  async function fetchImageBlob(src) {
+    if (state.objectUrlToBlob.has(src)) {
+      return state.objectUrlToBlob.get(src);
     }
-    const selectors = [
-      `[data-message-id="${escapeAttrValue(messageId)}"]`,
-      `[data-message-id*="${escapeAttrValue(messageId)}"]`,
-      `[data-id="${escapeAttrValue(messageId)}"]`,
-      `[data-id*="${escapeAttrValue(messageId)}"]`,
-      `[id*="${escapeAttrValue(messageId)}"]`,
-    ];
-    for (const selector of selectors) {
-      const found = document.querySelector(selector);
-      if (found instanceof Element) {
-        return found;
+    try {
+      const response = await fetch(src, { credentials: "omit" });
+      if (response.ok) {
+        return await response.blob();
       }
+      log("Image fetch returned non-OK status", src, response.status);
+    } catch (error) {
+      // Usually the platform CSP (connect-src) rejecting blob storage hosts.
+      log("Image fetch blocked; trying canvas fallback", src, error);
     }
-    return null;
+
+    const img = await loadImageElement(src, "anonymous");
+    const canvas = document.createElement("canvas");
+    canvas.width = img.naturalWidth;
+    canvas.height = img.naturalHeight;
+    canvas.getContext("2d").drawImage(img, 0, 0);
+    return new Promise((resolve, reject) => {
+      try {
+        canvas.toBlob((blob) => {
+          if (blob) {
+            resolve(blob);
+          } else {
+            reject(new Error("Canvas export produced no data."));
+          }
+        }, "image/png");
+      } catch (error) {
+        reject(error);
+      }
+    });
   }
 
-  function normalizeMatchText(text) {
-    return String(text || "")
-      .replace(/!\[[^\]]*]\((https?:\/\/[^)\s]+)\)/gim, "$1")
-      .replace(/\*\*([^*]+)\*\*/g, "$1")
-      .replace(/`([^`]+)`/g, "$1")
-      .replace(/\s+/g, " ")
-      .trim()
-      .toLowerCase();
+  function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result));
+      reader.onerror = () => reject(reader.error || new Error("Could not read blob."));
+      reader.readAsDataURL(blob);
+    });
   }
 
-  function messageTextForMatching(message) {
-    if (!message || !Array.isArray(message.contentItems)) {
-      return "";
+  async function buildExportImageHtml(candidate) {
+    const label = escapeHtml(candidate.caption || candidate.sourceValue);
+    if (!isImageCandidate(candidate)) {
+      const meta = candidateAttachmentMeta(candidate);
+      const details = [meta.mimeType, formatBytes(meta.bytes)].filter(Boolean).map(escapeHtml).join(" · ");
+      return {
+        image: false,
+        embedded: false,
+        html: `<div class="note">Attachment: ${escapeHtml(meta.filename || candidate.caption)}${details ? ` (${details})` : ""}${describeExportSource(candidate)}</div>`,
+      };
     }
-    const parts = [];
-    for (const content of message.contentItems) {
-      if (content?.type === "output_text" && typeof content.text === "string") {
-        parts.push(content.text);
-      } else if (content?.type === "input_text" && typeof content.text === "string") {
-        parts.push(content.text);
-      }
+    let src = null;
+    try {
+      src = await candidate.resolver();
+    } catch (error) {
+      log("Export could not resolve image", candidate.sourceValue, error);
+      return {
+        image: true,
+        embedded: false,
+        html: `<div class="missing">Image unavailable: the download link could not be resolved.${describeExportSource(candidate)}</div>`,
+      };
+    }
+    if (!src) {
+      const note = candidate.fallbackNote ? escapeHtml(candidate.fallbackNote) : "No image source.";
+      return { image: false, embedded: false, html: `<div class="note">${note}</div>` };
+    }
+    try {
+      const dataUrl = src.startsWith("data:") ? src : await blobToDataUrl(await fetchImageBlob(src));
+      return {
+        image: true,
+        embedded: true,
+        html: `<figure><img src="${escapeHtml(dataUrl)}" alt="${label}"><figcaption>${label}</figcaption></figure>`,
+      };
+    } catch (error) {
+      log("Export could not embed image", src, error);
+      return {
+        image: true,
+        embedded: false,
+        html: `<div class="missing">Image not embedded: blocked by the page's Content Security Policy or missing CORS headers.${describeExportSource(candidate)}</div>`,
+      };
     }
-    return normalizeMatchText(parts.join(" "));
   }
 
-  function isInputImageOnlyMessage(message) {
-    if (!message || !Array.isArray(message.contentItems) || message.contentItems.length === 0) {
-      return false;
+  function describeExportSource(candidate) {
+    if (candidate.fileId) {
+      return ` file_id: <code>${escapeHtml(candidate.fileId)}</code>`;
     }
-    return message.contentItems.every((content) => content?.type === "input_image");
+    return ` Source: <code>${escapeHtml(candidate.sourceValue)}</code>`;
   }
 
-  function findResponseCardByResponseId(responseId) {
-    if (!responseId) {
-      return null;
+  async function exportConversationHtml() {
+    const conversationId = getCurrentConversationId();
+    const messages = getCurrentConversationMessages();
+    if (!conversationId || messages.length === 0) {
+      window.alert("No captured conversation to export yet. Wait for the conversation items to load.");
+      return;
     }
-    const id = String(responseId).trim();
-    if (!id) {
-      return null;
+    const button = addToolbarButton("export", "Export", EXPORT_BUTTON_TITLE, exportConversationHtml);
+    if (button.disabled) {
+      return;
     }
-    const tokens = document.querySelectorAll("span.zxtJj");
-    for (const token of tokens) {
-      if (!(token instanceof Element)) {
-        continue;
+    button.disabled = true;
+
+    try {
+      const candidatesByMessage = new Map();
+      const candidates = collectCandidatesFromMessages(messages);
+      for (const candidate of candidates) {
+        const list = candidatesByMessage.get(candidate.message.messageId) || [];
+        list.push(candidate);
+        candidatesByMessage.set(candidate.message.messageId, list);
       }
-      const text = (token.textContent || "").trim();
-      if (text === id) {
-        const card = token.closest("div._7ho-7");
-        if (card instanceof Element) {
-          return card;
+
+      let done = 0;
+      let images = 0;
+      let embedded = 0;
+      const sections = [];
+      for (const msg of messages) {
+        const parts = [];
+        for (const content of msg.contentItems) {
+          if (
+            (content?.type === "input_text" || content?.type === "output_text") &&
+            typeof content.text === "string"
+          ) {
+            parts.push(`<div class="text">${escapeHtml(content.text)}</div>`);
+          }
+        }
+        for (const candidate of candidatesByMessage.get(msg.messageId) || []) {
+          button.textContent = `Exporting ${done + 1}/${candidates.length}…`;
+          // Sequential on purpose: keeps memory bounded for large screenshots.
+          // eslint-disable-next-line no-await-in-loop
+          const result = await buildExportImageHtml(candidate);
+          if (result.image) {
+            images += 1;
+            embedded += result.embedded ? 1 : 0;
+          }
+          parts.push(result.html);
+          done += 1;
+        }
+        if (parts.length === 0) {
+          continue;
         }
+        const meta = [msg.messageId, msg.responseId].filter(Boolean).map(escapeHtml).join(" · ");
+        sections.push(
+          `<section class="msg role-${escapeHtml(msg.role)}"><header><strong>${escapeHtml(msg.role)}</strong><span>${meta}</span></header>${parts.join("")}</section>`
+        );
       }
+
+      const exportedAt = new Date().toISOString();
+      const html = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(conversationId)}</title>
+<style>
+  body { margin: 0 auto; max-width: 960px; padding: 24px; font: 14px/1.5 system-ui, sans-serif; color: #141a22; background: #f6f8fb; }
+  h1 { font-size: 18px; margin: 0 0 4px 0; word-break: break-all; }
+  .summary { color: #5a6472; margin-bottom: 20px; }
+  .msg { background: #fff; border: 1px solid #dde3ea; border-radius: 10px; padding: 12px 14px; margin-bottom: 12px; }
+  .msg header { display: flex; gap: 10px; align-items: baseline; margin-bottom: 6px; }
+  .msg header span { color: #7a8493; font-size: 12px; word-break: break-all; }
+  .role-assistant { border-left: 4px solid #214baf; }
+  .role-user { border-left: 4px solid #2f8b57; }
+  .text { white-space: pre-wrap; word-break: break-word; margin: 6px 0; }
+  figure { margin: 10px 0; }
+  figure img { display: block; max-width: 100%; height: auto; border-radius: 8px; border: 1px solid #dde3ea; }
+  figcaption { font-size: 12px; color: #5a6472; word-break: break-all; margin-top: 4px; }
+  .missing { margin: 10px 0; padding: 8px 10px; border: 1px dashed #d47373; border-radius: 8px; background: #fff2f2; color: #8b2f2f; font-size: 12px; word-break: break-all; }
+  .note { margin: 10px 0; padding: 6px 10px; border: 1px dashed #b8c0cc; border-radius: 8px; color: #5a6472; font-size: 12px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(conversationId)}</h1>
+<div class="summary">Exported ${escapeHtml(exportedAt)} · ${messages.length} items · ${embedded} of ${images} images embedded</div>
+${sections.join("\n")}
+</body>
+</html>
+`;
+      downloadBlob(new Blob([html], { type: "text/html" }), `${conversationId}.html`);
+      log("Exported conversation", conversationId, { images, embedded });
+    } catch (error) {
+      log("Conversation export failed", error);
+      window.alert(`Conversation export failed: ${error.message}`);
+    } finally {
+      button.disabled = false;
+      button.textContent = "Export";
     }
-    return null;
   }
 
-  function readResponseBlocks(card) {
-    const blocks = [];
-    if (!(card instanceof Element)) {
-      return blocks;
-    }
-    const nodes = card.querySelectorAll(".nyCLx .zl9Lq");
-    let idx = 0;
-    for (const node of nodes) {
-      if (!(node instanceof Element)) {
-        continue;
+  const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n += 1) {
+      let c = n;
+      for (let k = 0; k < 8; k += 1) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
       }
-      const roleText = node.querySelector(".Ykd-p")?.textContent || "";
-      const role = roleText.trim().toLowerCase();
-      const bodyEl = node.querySelector(".EWWAC");
-      const bodyText = normalizeMatchText(bodyEl?.textContent || "");
-      blocks.push({
-        idx,
-        role,
-        bodyText,
-        hasBody: Boolean(bodyEl && bodyText),
-        el: node,
-      });
-      idx += 1;
+      table[n] = c >>> 0;
     }
-    return blocks;
-  }
+    return table;
+  })();
 
-  function findContainerInResponseBlocks(message, blocks, usedIndices) {
-    if (!message || !Array.isArray(blocks) || blocks.length === 0) {
-      return null;
+  function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i += 1) {
+      crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
     }
-    const role = String(message.role || "").toLowerCase();
-    const roleMatches = blocks.filter(
-      (block) =>
-        block.role === role &&
-        !usedIndices.has(block.idx) &&
-        block.el instanceof Element
-    );
-    if (roleMatches.length === 0) {
-      return null;
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  function hashString(value) {
+    // FNV-1a, only used for short stable filenames.
+    let hash = 0x811c9dc5;
+    const text = String(value || "");
+    for (let i = 0; i < text.length; i += 1) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
     }
+    return (hash >>> 0).toString(16).padStart(8, "0");
+  }
 
-    if (isInputImageOnlyMessage(message)) {
-      const emptyBodyMatch = roleMatches.find((block) => !block.hasBody);
-      if (emptyBodyMatch) {
-        usedIndices.add(emptyBodyMatch.idx);
-        return emptyBodyMatch.el;
-      }
+  function createZipBlob(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime =
+      (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate =
+      ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+    for (const file of files) {
+      const name = encoder.encode(file.name);
+      const data = file.data;
+      const crc = crc32(data);
+
+      // Stored (uncompressed) entries: images are already compressed.
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true);
+      local.setUint16(8, 0, true);
+      local.setUint16(10, dosTime, true);
+      local.setUint16(12, dosDate, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+      chunks.push(local.buffer, name, data);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(10, 0, true);
+      entry.setUint16(12, dosTime, true);
+      entry.setUint16(14, dosDate, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, data.length, true);
+      entry.setUint32(24, data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+      central.push(entry.buffer, name);
+
+      offset += 30 + name.length + data.length;
     }
 
-    const textToMatch = messageTextForMatching(message);
-    if (textToMatch) {
-      const snippet = textToMatch.slice(0, 140);
-      const exactBodyMatch = roleMatches.find(
-        (block) => block.bodyText && block.bodyText.includes(snippet)
-      );
-      if (exactBodyMatch) {
-        usedIndices.add(exactBodyMatch.idx);
-        return exactBodyMatch.el;
-      }
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...chunks, ...central, end.buffer], { type: "application/zip" });
+  }
 
-      const fuzzyBodyMatch = roleMatches.find((block) => {
-        if (!block.bodyText) {
-          return false;
-        }
-        const bodySnippet = block.bodyText.slice(0, 120);
-        return bodySnippet && textToMatch.includes(bodySnippet);
-      });
-      if (fuzzyBodyMatch) {
-        usedIndices.add(fuzzyBodyMatch.idx);
-        return fuzzyBodyMatch.el;
+  function imageExtension(mimeType, src) {
+    const fromMime = IMAGE_MIME_EXTENSIONS[String(mimeType || "").split(";")[0].trim().toLowerCase()];
+    if (fromMime) {
+      return fromMime;
+    }
+    try {
+      const match = new URL(src).pathname.match(/\.([a-z0-9]{2,5})$/i);
+      if (match) {
+        return match[1].toLowerCase();
       }
+    } catch (_error) {
+      // data: or malformed URLs fall through to the default.
     }
-
-    usedIndices.add(roleMatches[0].idx);
-    return roleMatches[0].el;
+    return "bin";
   }
 
-  async function renderCandidate(candidate) {
-    const key = sourceKey(
-      candidate.message.messageId,
-      candidate.sourceType,
-      candidate.sourceValue
-    );
+  function safeFilenamePart(value) {
+    return String(value || "").replace(/[^A-Za-z0-9._-]+/g, "_").slice(0, 80) || "unknown";
+  }
 
-    const mount = ensureMessageMount(
-      candidate.message.containerElement,
-      candidate.message.messageId,
-      !candidate.requireMessageContainer
-    );
-    if (!mount) {
+  async function downloadConversationImagesZip() {
+    const conversationId = getCurrentConversationId();
+    const messages = getCurrentConversationMessages();
+    const candidates = collectCandidatesFromMessages(messages).filter(isImageCandidate);
+    if (!conversationId || candidates.length === 0) {
+      window.alert("No images captured for this conversation yet.");
       return;
     }
-
-    if (state.renderedSourceKeys.has(key)) {
+    const button = addToolbarButton("zip", "Images ZIP", ZIP_BUTTON_TITLE, downloadConversationImagesZip);
+    if (button.disabled) {
       return;
     }
+    button.disabled = true;
 
-    const render = async () => {
-      try {
-        const resolvedSrc = await candidate.resolver();
-        if (resolvedSrc) {
-          appendImageCard(mount, key, resolvedSrc, candidate.caption);
-        } else if (candidate.fallbackNote) {
-          appendNote(mount, key, candidate.fallbackNote);
-        }
-        state.renderedSourceKeys.add(key);
-      } catch (error) {
-        const label = `Image unavailable (${candidate.sourceValue})`;
-        state.renderedSourceKeys.add(key);
-        appendErrorBadge(mount, key, label, async () => {
-          const errorEl = mount.querySelector(
-            `[data-oci-error="${escapeAttrValue(key)}"]`
-          );
-          if (errorEl) {
-            errorEl.remove();
+    try {
+      const files = [];
+      const manifest = [];
+      const width = String(candidates.length).length;
+      for (let i = 0; i < candidates.length; i += 1) {
+        const candidate = candidates[i];
+        const index = String(i + 1).padStart(width, "0");
+        const entry = {
+          index: i + 1,
+          filename: null,
+          message_id: candidate.message.messageId,
+          response_id: candidate.message.responseId || null,
+          role: candidate.message.role,
+          source_type: candidate.sourceType,
+          file_id: candidate.fileId || null,
+          original_url: null,
+          status: "ok",
+        };
+        manifest.push(entry);
+        button.textContent = `Zipping ${i + 1}/${candidates.length}…`;
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          const src = await candidate.resolver();
+          if (!src) {
+            entry.status = "skipped";
+            entry.error = candidate.fallbackNote || "No image source.";
+            continue;
           }
-          state.renderedSourceKeys.delete(key);
-          await renderCandidate(candidate);
-        });
-        log("Render failed", key, error);
+          entry.original_url = /^https?:\/\//i.test(src) ? src : null;
+          // eslint-disable-next-line no-await-in-loop
+          const blob = await fetchImageBlob(src);
+          const name = `${index}_${safeFilenamePart(candidate.message.role)}_${safeFilenamePart(
+            candidate.fileId || hashString(candidate.sourceValue)
+          )}.${imageExtension(blob.type, src)}`;
+          // eslint-disable-next-line no-await-in-loop
+          files.push({ name, data: new Uint8Array(await blob.arrayBuffer()) });
+          entry.filename = name;
+        } catch (error) {
+          entry.status = "error";
+          entry.error = error?.message || String(error);
+          log("ZIP entry failed", candidate.sourceValue, error);
+        }
       }
-    };
 
-    await render();
+      const encoder = new TextEncoder();
+      files.push({
+        name: "manifest.json",
+        data: encoder.encode(
+          JSON.stringify(
+            {
+              conversation_id: conversationId,
+              exported_at: new Date().toISOString(),
+              images: manifest,
+            },
+            null,
+            2
+          )
+        ),
+      });
+      downloadBlob(createZipBlob(files), `${conversationId}_images.zip`);
+      const failed = manifest.filter((entry) => entry.status === "error").length;
+      if (failed > 0) {
+        window.alert(`${failed} of ${manifest.length} images could not be downloaded; see manifest.json for details.`);
+      }
+    } catch (error) {
+      log("ZIP export failed", error);
+      window.alert(`Image download failed: ${error.message}`);
+    } finally {
+      button.disabled = false;
+      button.textContent = "Images ZIP";
+    }
   }
 
-  function findJsonContainerElements(root) {
-    const out = [];
-    const selector = SELECTORS.join(",");
-    const list = root.querySelectorAll(selector);
-    let count = 0;
-
-    if (root instanceof Element && root.matches(selector)) {
-      if (count < CONFIG.OBSERVATION.maxScanPerCycle) {
-        const rootText = getNodeText(root);
-        if (
-          root.dataset.ociProcessed !== "1" &&
-          rootText.includes('"object"') &&
-          rootText.includes('"data"') &&
-          rootText.includes('"type"') &&
-          rootText.includes('"message"')
-        ) {
-          out.push(root);
-          count += 1;
+  function buildGifPalette() {
+    const palette = new Uint8Array(256 * 3);
+    let offset = 0;
+    for (let r = 0; r < 6; r += 1) {
+      for (let g = 0; g < 6; g += 1) {
+        for (let b = 0; b < 6; b += 1) {
+          palette[offset] = r * 51;
+          palette[offset + 1] = g * 51;
+          palette[offset + 2] = b * 51;
+          offset += 3;
         }
       }
     }
+    // The remaining 40 entries are a gray ramp; UI screenshots are mostly neutral tones.
+    for (let i = 0; i < 40; i += 1) {
+      const level = Math.round((i * 255) / 39);
+      palette.fill(level, offset, offset + 3);
+      offset += 3;
+    }
+    return palette;
+  }
 
-    for (const el of list) {
-      if (count >= CONFIG.OBSERVATION.maxScanPerCycle) {
-        break;
+  function quantizeGifFrame(rgba) {
+    const pixelCount = rgba.length / 4;
+    const indices = new Uint8Array(pixelCount);
+    for (let i = 0; i < pixelCount; i += 1) {
+      const r = rgba[i * 4];
+      const g = rgba[i * 4 + 1];
+      const b = rgba[i * 4 + 2];
+      const max = Math.max(r, g, b);
+      const min = Math.min(r, g, b);
+      if (max - min <= 16) {
+        indices[i] = 216 + Math.round((((r + g + b) / 3) * 39) / 255);
+      } else {
+        indices[i] = Math.round(r / 51) * 36 + Math.round(g / 51) * 6 + Math.round(b / 51);
       }
-      if (!(el instanceof Element)) {
-        continue;
+    }
+    return indices;
+  }
+
+  function lzwEncodeGif(indices, minCodeSize) {
+    const out = [];
+    let block = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+    const pushByte = (byte) => {
+      block.push(byte);
+      if (block.length === 255) {
+        out.push(255, ...block);
+        block = [];
       }
-      if (el.dataset.ociProcessed === "1") {
+    };
+    const emit = (code, size) => {
+      bitBuffer |= code << bitCount;
+      bitCount += size;
+      while (bitCount >= 8) {
+        pushByte(bitBuffer & 0xff);
+        bitBuffer >>>= 8;
+        bitCount -= 8;
+      }
+    };
+
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+    emit(clearCode, codeSize);
+    let current = indices[0];
+    for (let i = 1; i < indices.length; i += 1) {
+      const value = indices[i];
+      const key = current * 256 + value;
+      const known = table.get(key);
+      if (known !== undefined) {
+        current = known;
         continue;
       }
-      const text = getNodeText(el);
-      if (
-        text.includes('"object"') &&
-        text.includes('"data"') &&
-        text.includes('"type"') &&
-        text.includes('"message"')
-      ) {
-        out.push(el);
-        count += 1;
+      emit(current, codeSize);
+      if (nextCode === 4096) {
+        emit(clearCode, codeSize);
+        table = new Map();
+        codeSize = minCodeSize + 1;
+        nextCode = endCode + 1;
+      } else {
+        if (nextCode >= 1 << codeSize) {
+          codeSize += 1;
+        }
+        table.set(key, nextCode);
+        nextCode += 1;
       }
+      current = value;
     }
-    return out;
+    emit(current, codeSize);
+    emit(endCode, codeSize);
+    if (bitCount > 0) {
+      pushByte(bitBuffer & 0xff);
+    }
+    if (block.length > 0) {
+      out.push(block.length, ...block);
+    }
+    out.push(0);
+    return Uint8Array.from(out);
   }
 
-  async function processContainerElement(el) {
-    if (!(el instanceof Element) || el.dataset.ociProcessed === "1") {
-      return;
+  function createGifBlob(frames, width, height) {
+    const palette = buildGifPalette();
+    const word = (value) => [value & 0xff, (value >> 8) & 0xff];
+    const parts = [
+      new TextEncoder().encode("GIF89a"),
+      Uint8Array.from([...word(width), ...word(height), 0xf7, 0, 0]),
+      palette,
+      // NETSCAPE2.0 application extension: loop forever.
+      Uint8Array.from([0x21, 0xff, 0x0b, ...new TextEncoder().encode("NETSCAPE2.0"), 0x03, 0x01, 0, 0, 0]),
+    ];
+    for (const frame of frames) {
+      parts.push(
+        Uint8Array.from([0x21, 0xf9, 0x04, 0x04, ...word(frame.delayCs), 0, 0]),
+        Uint8Array.from([0x2c, 0, 0, 0, 0, ...word(width), ...word(height), 0, 8]),
+        frame.data
+      );
     }
+    parts.push(Uint8Array.from([0x3b]));
+    return new Blob(parts, { type: "image/gif" });
+  }
 
-    const text = getNodeText(el);
-    const payload = maybeParseListPayload(text);
-    if (!payload) {
-      return;
-    }
+  async function loadActionOverlayImage(actions, width, height) {
+    const svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    svg.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+    svg.setAttribute("width", String(width));
+    svg.setAttribute("height", String(height));
+    drawActionOverlay(svg, actions, width, height);
+    const markup = new XMLSerializer().serializeToString(svg);
+    return loadImageElement(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`);
+  }
 
-    const messages = normalizeMessages(payload, el);
-    if (messages.length === 0) {
-      el.dataset.ociProcessed = "1";
-      return;
+  async function drawRunFrame(ctx, candidate, index, total, layout) {
+    const src = await candidate.resolver();
+    if (!src) {
+      throw new Error(candidate.fallbackNote || "No image source.");
     }
-
-    const candidates = collectCandidatesFromMessages(messages);
-    for (const candidate of candidates) {
-      // Intentional sequential rendering to keep placement stable.
-      // eslint-disable-next-line no-await-in-loop
-      await renderCandidate(candidate);
+    const blob = await fetchImageBlob(src);
+    const url = URL.createObjectURL(blob);
+    try {
+      const img = await loadImageElement(url);
+      const scale = Math.min(layout.width / img.naturalWidth, layout.imageHeight / img.naturalHeight);
+      const drawWidth = Math.round(img.naturalWidth * scale);
+      const drawHeight = Math.round(img.naturalHeight * scale);
+      const x = Math.round((layout.width - drawWidth) / 2);
+      const y = Math.round((layout.imageHeight - drawHeight) / 2);
+      ctx.fillStyle = "#000";
+      ctx.fillRect(0, 0, layout.width, layout.height);
+      ctx.drawImage(img, x, y, drawWidth, drawHeight);
+      if (CONFIG.RUN_EXPORT.includeActions && candidate.actions?.length > 0) {
+        const overlay = await loadActionOverlayImage(candidate.actions, img.naturalWidth, img.naturalHeight);
+        ctx.drawImage(overlay, x, y, drawWidth, drawHeight);
+      }
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+    if (layout.captionHeight > 0) {
+      const actionLabel = (candidate.actions || []).map(describeComputerAction).join("; ");
+      ctx.fillStyle = "#14181f";
+      ctx.fillRect(0, layout.imageHeight, layout.width, layout.captionHeight);
+      ctx.fillStyle = "#fff";
+      ctx.font = `${Math.round(layout.captionHeight * 0.5)}px ui-monospace, SFMono-Regular, Menlo, monospace`;
+      ctx.textBaseline = "middle";
+      ctx.fillText(
+        [`Step ${index + 1}/${total}`, actionLabel && `next: ${actionLabel}`].filter(Boolean).join(" · "),
+        Math.round(layout.captionHeight * 0.4),
+        layout.imageHeight + layout.captionHeight / 2,
+        layout.width - layout.captionHeight
+      );
     }
-
-    el.dataset.ociProcessed = "1";
   }
 
-  async function processCapturedMessages() {
-    for (const messages of state.convIdToMessages.values()) {
-      const responseContextById = new Map();
-      const patchedMessages = messages.map((msg) => ({
-        ...msg,
-        containerElement: null,
-      }));
-
-      for (const msg of patchedMessages) {
-        let container = findContainerForMessage(msg.messageId);
-        if (!container && msg.responseId) {
-          let ctx = responseContextById.get(msg.responseId);
-          if (!ctx) {
-            const card = findResponseCardByResponseId(msg.responseId);
-            const blocks = readResponseBlocks(card);
-            ctx = { blocks, usedIndices: new Set() };
-            responseContextById.set(msg.responseId, ctx);
-          }
-          container = findContainerInResponseBlocks(msg, ctx.blocks, ctx.usedIndices);
-        }
-        msg.containerElement = container;
-      }
+  function runLayoutFor(naturalWidth, naturalHeight) {
+    const scale = Math.min(1, CONFIG.RUN_EXPORT.maxWidthPx / naturalWidth);
+    const width = Math.max(1, Math.round(naturalWidth * scale));
+    const imageHeight = Math.max(1, Math.round(naturalHeight * scale));
+    const captionHeight = CONFIG.RUN_EXPORT.includeCaptions ? Math.max(20, Math.round(width / 32)) : 0;
+    return { width, imageHeight, captionHeight, height: imageHeight + captionHeight };
+  }
 
-      const candidates = collectCandidatesFromMessages(patchedMessages);
-      for (const candidate of candidates) {
-        if (!candidate.message.containerElement) {
+  // Sizes the animation from the first screenshot that loads, or a 4:3 canvas when none do.
+  async function measureRunLayout(screenshots) {
+    for (const candidate of screenshots) {
+      let url = null;
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const src = await candidate.resolver();
+        if (!src) {
           continue;
         }
-        candidate.requireMessageContainer = true;
         // eslint-disable-next-line no-await-in-loop
-        await renderCandidate(candidate);
+        url = URL.createObjectURL(await fetchImageBlob(src));
+        // eslint-disable-next-line no-await-in-loop
+        const img = await loadImageElement(url);
+        return runLayoutFor(img.naturalWidth, img.naturalHeight);
+      } catch (error) {
+        log("Run layout frame skipped", candidate.sourceValue, error);
+      } finally {
+        if (url) {
+          URL.revokeObjectURL(url);
+        }
       }
     }
+    return runLayoutFor(CONFIG.RUN_EXPORT.maxWidthPx, Math.round((CONFIG.RUN_EXPORT.maxWidthPx * 3) / 4));
   }
 
-  async function scanRoot(root) {
-    if (!root || !(root instanceof Element || root instanceof Document)) {
+  async function exportRunAnimation(format) {
+    const strip = ensureFilmstrip();
+    const conversationId = getCurrentConversationId() || "conversation";
+    const screenshots = collectScreenshotCandidates(getCurrentConversationMessages());
+    if (screenshots.length === 0) {
+      strip.status.textContent = "No computer_call_output screenshots captured yet.";
       return;
     }
-
-    const candidateElements = findJsonContainerElements(root);
-    for (const element of candidateElements) {
-      // eslint-disable-next-line no-await-in-loop
-      await processContainerElement(element);
+    if (strip.exporting) {
+      return;
+    }
+    strip.exporting = true;
+    stopFilmstripPlayback();
+    strip.status.textContent = "Preparing export…";
+    try {
+      const layout = await measureRunLayout(screenshots);
+      const canvas = document.createElement("canvas");
+      canvas.width = layout.width;
+      canvas.height = layout.height;
+      const ctx = canvas.getContext("2d", { willReadFrequently: format === "gif" });
+      const { blob, frameCount } =
+        format === "gif"
+          ? await encodeRunGif(ctx, screenshots, layout, strip)
+          : await recordRunWebm(canvas, ctx, screenshots, layout, strip);
+      downloadBlob(blob, `${conversationId}_run.${format}`);
+      strip.status.textContent =
+        frameCount === screenshots.length
+          ? `Exported ${frameCount} frames (${formatBytes(blob.size)}).`
+          : `Exported ${frameCount} of ${screenshots.length} frames, the rest failed to load (${formatBytes(blob.size)}).`;
+    } catch (error) {
+      log("Run export failed", format, error);
+      strip.status.textContent = `Export failed: ${error.message}`;
+    } finally {
+      strip.exporting = false;
     }
-
-    await processCapturedMessages();
   }
 
-  const scheduleScan = debounce(async () => {
-    state.scheduled = false;
-    refreshRouteScopedState();
-    const roots = Array.from(state.pendingRoots);
-    state.pendingRoots.clear();
-    for (const root of roots) {
+  async function encodeRunGif(ctx, screenshots, layout, strip) {
+    const frames = [];
+    const delayCs = Math.max(2, Math.round(CONFIG.RUN_EXPORT.frameDurationMs / 10));
+    for (let i = 0; i < screenshots.length; i += 1) {
+      strip.status.textContent = `Encoding GIF frame ${i + 1}/${screenshots.length}…`;
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await drawRunFrame(ctx, screenshots[i], i, screenshots.length, layout);
+      } catch (error) {
+        log("Run frame skipped", i + 1, error);
+        continue;
+      }
+      const pixels = ctx.getImageData(0, 0, layout.width, layout.height).data;
+      frames.push({ delayCs, data: lzwEncodeGif(quantizeGifFrame(pixels), 8) });
       // eslint-disable-next-line no-await-in-loop
-      await scanRoot(root);
+      await yieldToMainThread();
     }
-  }, CONFIG.OBSERVATION.mutationDebounceMs);
-
-  function enqueueRoot(root) {
-    state.pendingRoots.add(root || document);
-    if (!state.scheduled) {
-      state.scheduled = true;
-      scheduleScan();
+    if (frames.length === 0) {
+      throw new Error("None of the screenshots could be loaded.");
     }
+    return { blob: createGifBlob(frames, layout.width, layout.height), frameCount: frames.length };
   }
 
-  function startObserver() {
-    const observer = new MutationObserver((mutations) => {
-      for (const mutation of mutations) {
-        if (mutation.target && mutation.target instanceof Node) {
-          enqueueRoot(mutation.target.nodeType === Node.ELEMENT_NODE ? mutation.target : document);
-        }
-        for (const node of mutation.addedNodes) {
-          if (node instanceof Element) {
-            enqueueRoot(node);
-          }
-        }
+  async function recordRunWebm(canvas, ctx, screenshots, layout, strip) {
+    if (typeof MediaRecorder === "undefined" || typeof canvas.captureStream !== "function") {
+      throw new Error("This browser cannot record WebM (MediaRecorder unavailable).");
+    }
+    const mimeType = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"].find((type) =>
+      MediaRecorder.isTypeSupported(type)
+    );
+    if (!mimeType) {
+      throw new Error("This browser cannot record WebM.");
+    }
+    const stream = canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const recorder = new MediaRecorder(stream, { mimeType });
+    const chunks = [];
+    recorder.addEventListener("dataavailable", (event) => {
+      if (event.data.size > 0) {
+        chunks.push(event.data);
       }
     });
-
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true,
-      characterData: true,
-    });
-
-    enqueueRoot(document);
+    const stopped = new Promise((resolve) => recorder.addEventListener("stop", resolve, { once: true }));
+    recorder.start();
+    let drawn = 0;
+    for (let i = 0; i < screenshots.length; i += 1) {
+      strip.status.textContent = `Recording WebM frame ${i + 1}/${screenshots.length}…`;
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await drawRunFrame(ctx, screenshots[i], i, screenshots.length, layout);
+      } catch (error) {
+        log("Run frame skipped", i + 1, error);
+        continue;
+      }
+      drawn += 1;
+      track.requestFrame?.();
+      // MediaRecorder timestamps frames in real time, so hold each one for its duration.
+      // eslint-disable-next-line no-await-in-loop
+      await new Promise((resolve) => setTimeout(resolve, CONFIG.RUN_EXPORT.frameDurationMs));
+    }
+    recorder.stop();
+    await stopped;
+    track.stop();
+    if (drawn === 0) {
+      throw new Error("None of the screenshots could be loaded.");
+    }
+    return { blob: new Blob(chunks, { type: "video/webm" }), frameCount: drawn };
   }
 
   function revokeObjectUrls() {
     for (const url of state.fileIdToObjectUrl.values()) {
       URL.revokeObjectURL(url);
     }
+    state.objectUrlToBlob.clear();
+    for (const timer of state.fileIdRefreshTimers.values()) {
+      clearTimeout(timer);
+    }
+    state.fileIdRefreshTimers.clear();
     state.fileIdToResolvedSrc.clear();
+    state.fileIdToExpiresAtMs.clear();
     state.fileIdToObjectUrl.clear();
     state.fileIdInFlight.clear();
     state.fileIdRetryAfterMs.clear();
     state.convIdToRequestHeaders.clear();
   }
 
+  /**
+   * @typedef {"payloadCaptured" | "imageRendered" | "imageFailed" | "routeChanged"} RendererEventName
+   */
+
+  /**
+   * @typedef {object} ConversationMessage
+   * @property {string} messageId
+   * @property {string} role
+   * @property {string | null} responseId
+   * @property {string | null} conversationId
+   * @property {Array<object>} contentItems Raw content parts from the items payload.
+   */
+
+  /**
+   * @typedef {object} ImageCandidate
+   * @property {string} sourceKey Stable key used for the card (`data-oci-card`).
+   * @property {string} messageId
+   * @property {string | null} responseId
+   * @property {string} role
+   * @property {string} sourceType One of the keys of the gallery source filters, e.g. `input_image_file`.
+   * @property {string} sourceValue file_id, URL or inline-data key.
+   * @property {string} caption
+   * @property {string | null} fileId
+   * @property {string} mediaKind `image`, `pdf`, `audio` or `file`.
+   */
+
+  /**
+   * @typedef {object} RendererEventDetail
+   * @property {string | null} conversationId
+   * @property {string} [sourceKey] imageRendered / imageFailed
+   * @property {string} [messageId] imageRendered / imageFailed
+   * @property {string} [sourceType] imageRendered / imageFailed
+   * @property {string} [src] imageRendered: the URL the card displays.
+   * @property {string} [error] imageFailed: the failure message.
+   * @property {number} [messageCount] payloadCaptured: messages known for the conversation.
+   * @property {boolean} [hasMore] payloadCaptured: the page reported `has_more`.
+   * @property {string} [href] routeChanged
+   * @property {string | null} [previousHref] routeChanged
+   */
+
+  function emitRendererEvent(name, detail) {
+    for (const handler of Array.from(state.eventHandlers.get(name) || [])) {
+      try {
+        handler(detail);
+      } catch (error) {
+        log("Extension event handler failed", name, error);
+      }
+    }
+  }
+
+  function toPublicMessage(msg) {
+    return {
+      messageId: msg.messageId,
+      role: msg.role,
+      responseId: msg.responseId || null,
+      conversationId: msg.conversationId || null,
+      contentItems: msg.contentItems,
+    };
+  }
+
+  function toPublicCandidate(candidate) {
+    return {
+      sourceKey: sourceKey(candidate.message.messageId, candidate.sourceType, candidate.sourceValue),
+      messageId: candidate.message.messageId,
+      responseId: candidate.message.responseId || null,
+      role: candidate.message.role,
+      sourceType: candidate.sourceType,
+      sourceValue: candidate.sourceValue,
+      caption: candidate.caption || "",
+      fileId: candidate.fileId || null,
+      mediaKind: candidate.mediaKind || "image",
+    };
+  }
+
+  function createPublicApi() {
+    const messagesFor = (conversationId) =>
+      conversationId ? state.convIdToMessages.get(conversationId) || [] : getCurrentConversationMessages();
+    const api = {
+      /** @type {number} Incremented on breaking changes to this object. */
+      version: PUBLIC_API_VERSION,
+
+      /**
+       * Messages captured for a conversation (defaults to the one on screen).
+       * @param {string} [conversationId]
+       * @returns {ConversationMessage[]}
+       */
+      getConversation(conversationId) {
+        return messagesFor(conversationId).map(toPublicMessage);
+      },
+
+      /**
+       * Every renderable image / attachment found in a conversation, in message order.
+       * @param {string} [conversationId]
+       * @returns {ImageCandidate[]}
+       */
+      getCandidates(conversationId) {
+        return collectCandidatesFromMessages(messagesFor(conversationId)).map(toPublicCandidate);
+      },
+
+      /**
+       * Resolve a file_id to a displayable URL with the conversation's captured auth headers.
+       * @param {string} fileId
+       * @param {string} [conversationId]
+       * @returns {Promise<string>}
+       */
+      resolveFile(fileId, conversationId) {
+        return resolveFileImage(fileId, conversationId || getCurrentConversationId());
+      },
+
+      /**
+       * Queue a scan of the page, e.g. after another script changed the DOM.
+       * @returns {void}
+       */
+      rescan() {
+        enqueueRoot(document);
+      },
+
+      /**
+       * Subscribe to renderer events.
+       * @param {RendererEventName} name
+       * @param {(detail: RendererEventDetail) => void} handler
+       * @returns {() => void} Unsubscribes the handler.
+       */
+      on(name, handler) {
+        if (!PUBLIC_API_EVENTS.includes(name)) {
+          throw new Error(`Unknown event "${name}". Expected one of: ${PUBLIC_API_EVENTS.join(", ")}.`);
+        }
+        if (typeof handler !== "function") {
+          throw new TypeError("Event handler must be a function.");
+        }
+        if (!state.eventHandlers.has(name)) {
+          state.eventHandlers.set(name, new Set());
+        }
+        state.eventHandlers.get(name).add(handler);
+        return () => api.off(name, handler);
+      },
+
+      /**
+       * Remove a handler added with `on`.
+       * @param {RendererEventName} name
+       * @param {(detail: RendererEventDetail) => void} handler
+       * @returns {void}
+       */
+      off(name, handler) {
+        state.eventHandlers.get(name)?.delete(handler);
+      },
+    };
+    return Object.freeze(api);
+  }
+
+  function exposePublicApi() {
+    const api = createPublicApi();
+    Object.defineProperty(window, "OpenAILogImageRenderer", {
+      value: api,
+      configurable: true,
+    });
+    window.dispatchEvent(new CustomEvent("oci:ready", { detail: { version: api.version } }));
+  }
+
   function start() {
     state.lastKnownHref = window.location.href;
+    loadSettings();
     ensureStyles();
+    watchTheme();
     patchNetworkCapture();
     startObserver();
+    hydrateConversationFromCache();
+    exposePublicApi();
+    addToolbarButton("gallery", "Gallery", "Show every image in this conversation", () => toggleGallery());
+    addToolbarButton("filmstrip", "Filmstrip", "Show the agent run as a filmstrip", () => toggleFilmstrip());
+    addToolbarButton("export", "Export", EXPORT_BUTTON_TITLE, exportConversationHtml);
+    addToolbarButton("diagnostics", "Diagnostics", "Explain where each image was placed", () => toggleDiagnosticsPanel());
+    addToolbarButton("zip", "Images ZIP", ZIP_BUTTON_TITLE, downloadConversationImagesZip);
+    addToolbarButton("settings", "⚙", "Image renderer settings", () => toggleSettingsPanel());
     window.addEventListener("beforeunload", revokeObjectUrls);
     log("OpenAI Conversation Image renderer initialized.");
   }